@@ -0,0 +1,146 @@
+"use strict";
+
+const DEFAULT_GROUP = "default";
+/** Channel name a peer can join to receive every channel in its group. */
+const ALL_CHANNELS = "*";
+
+/**
+ * Relays bridged BroadcastChannel messages between capture windows and
+ * external WebSocket peers.
+ *
+ * Every window and peer belongs to one bridge group and messages never leave
+ * their group, so independent shows in one instance don't cross-talk. Peers
+ * (a control page in a normal browser, a Node script, …) join channels by
+ * name and exchange JSON with pages using the same channel names:
+ *
+ *   → `{ "type": "join" | "leave", "channel": "score" }`
+ *   → `{ "type": "message", "channel": "score", "data": {...} }`
+ *   ← `{ "type": "message", "channel": "score", "data": {...} }`
+ */
+class ChannelBridge {
+  /**
+   * @param {() => Iterable<{id: number, group: string,
+   *   webContents: import('electron').WebContents}>} getWindows
+   *        Live capture windows and their bridge groups
+   */
+  constructor(getWindows) {
+    this.getWindows = getWindows;
+    /**
+     * @type {Set<{ws: import('ws').WebSocket, group: string,
+     *             channels: Set<string>}>}
+     */
+    this.peers = new Set();
+  }
+
+  /**
+   * A page posted a message on a bridged BroadcastChannel.
+   * @param {number} windowId
+   * @param {{channel: string, message: unknown}} payload
+   */
+  fromWindow(windowId, payload) {
+    let group = null;
+    for (const w of this.getWindows()) {
+      if (w.id === windowId) group = w.group;
+    }
+    if (group === null) return;
+    this._toWindows(group, payload, windowId);
+    this._toPeers(group, payload, null);
+  }
+
+  /**
+   * Attach a WebSocket peer.
+   * @param {import('ws').WebSocket} ws
+   * @param {{group?: string, channels?: string[]}} [options]
+   */
+  addPeer(ws, { group, channels = [] } = {}) {
+    const peer = {
+      ws,
+      group: normalizeGroup(group),
+      channels: new Set(channels.map((c) => String(c).trim()).filter(Boolean)),
+    };
+    this.peers.add(peer);
+    console.log(
+      `[Bridge] Peer joined group "${peer.group}" ` +
+        `(channels: ${[...peer.channels].join(", ") || "none"})`,
+    );
+
+    ws.on("message", (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        ws.send(JSON.stringify({ type: "error", error: "Invalid JSON" }));
+        return;
+      }
+      const channel = msg && typeof msg.channel === "string" && msg.channel;
+      if (!channel) return;
+      if (msg.type === "join") {
+        peer.channels.add(channel);
+      } else if (msg.type === "leave") {
+        peer.channels.delete(channel);
+      } else if (msg.type === "message") {
+        const payload = { channel, message: msg.data };
+        this._toWindows(peer.group, payload, null);
+        this._toPeers(peer.group, payload, peer);
+      }
+    });
+    ws.on("close", () => this.peers.delete(peer));
+    // Malformed frames surface here; without a listener they would throw
+    ws.on("error", (err) => {
+      console.warn(
+        `[Bridge] Peer error in group "${peer.group}":`,
+        err.message,
+      );
+      this.peers.delete(peer);
+      ws.terminate();
+    });
+  }
+
+  /** Disconnect every peer. */
+  closeAll() {
+    for (const peer of this.peers) peer.ws.terminate();
+    this.peers.clear();
+  }
+
+  /** @private */
+  _toWindows(group, payload, exceptId) {
+    for (const w of this.getWindows()) {
+      if (w.id !== exceptId && w.group === group) {
+        w.webContents.send("broadcast-channel-message", payload);
+      }
+    }
+  }
+
+  /** @private */
+  _toPeers(group, payload, exceptPeer) {
+    if (this.peers.size === 0) return;
+    let msg;
+    try {
+      msg = JSON.stringify({
+        type: "message",
+        channel: payload.channel,
+        data: payload.message,
+      });
+    } catch {
+      return; // not JSON-representable (BigInt, cycles) – pages only
+    }
+    for (const peer of this.peers) {
+      if (
+        peer !== exceptPeer &&
+        peer.group === group &&
+        (peer.channels.has(payload.channel) ||
+          peer.channels.has(ALL_CHANNELS)) &&
+        peer.ws.readyState === peer.ws.OPEN
+      ) {
+        peer.ws.send(msg);
+      }
+    }
+  }
+}
+
+/** @param {unknown} group */
+function normalizeGroup(group) {
+  return String(group ?? "").trim() || DEFAULT_GROUP;
+}
+
+module.exports = { ChannelBridge, normalizeGroup };
@@ -0,0 +1,115 @@
+"use strict";
+
+/**
+ * Frame rates are carried as exact rationals `{ n, d }` (NDI's
+ * frameRateN / frameRateD) so NTSC rates such as 30000/1001 don't drift.
+ */
+
+/** NTSC-family rates that are written as decimals (29.97 → 30000/1001). */
+const NTSC_BASES = [24, 30, 48, 60, 120];
+
+/**
+ * Parse a frame rate from settings, IPC or the command line.
+ *
+ * Accepts `{ n, d }`, `"30000/1001"`, `29.97`, `"59.94"` or an integer.
+ * Decimal NTSC rates are snapped to their exact x000/1001 rational.
+ *
+ * @param {unknown} value
+ * @param {{n: number, d: number}} [fallback]
+ * @returns {{n: number, d: number}}
+ */
+function parseFrameRate(value, fallback = { n: 30, d: 1 }) {
+  if (value && typeof value === "object") {
+    const n = Number(value.n);
+    const d = Number(value.d);
+    return valid(n, d) ? { n, d } : fallback;
+  }
+
+  const str = String(value ?? "").trim();
+  const frac = /^(\d+)\s*\/\s*(\d+)$/.exec(str);
+  if (frac) {
+    const n = parseInt(frac[1], 10);
+    const d = parseInt(frac[2], 10);
+    return valid(n, d) ? reduce(n, d) : fallback;
+  }
+
+  const v = Number(str);
+  if (!Number.isFinite(v) || v <= 0) return fallback;
+  if (Number.isInteger(v)) return { n: v, d: 1 };
+
+  for (const base of NTSC_BASES) {
+    if (Math.abs(v - (base * 1000) / 1001) < 0.006) {
+      return { n: base * 1000, d: 1001 };
+    }
+  }
+  return reduce(Math.round(v * 1000), 1000);
+}
+
+/**
+ * Human-readable rate, e.g. "29.97" or "25".
+ * @param {{n: number, d: number}} rate
+ */
+function formatFrameRate({ n, d }) {
+  if (d === 1) return String(n);
+  return String(Math.round((n / d) * 1000) / 1000);
+}
+
+/**
+ * Accumulated frame timeline: slot k is due at `epoch + k · d/n` seconds.
+ *
+ * Slots are computed from the start epoch rather than by adding a per-frame
+ * delay, so rounding and timer jitter never accumulate into drift. If the
+ * caller falls more than a frame behind, the missed slots are skipped (and
+ * reported) instead of being sent in a burst.
+ */
+class FrameTimeline {
+  /** @param {{n: number, d: number}} rate */
+  constructor(rate) {
+    this.n = rate.n;
+    this.d = rate.d;
+    this.reset();
+  }
+
+  /** Duration of one frame in milliseconds. */
+  get frameMs() {
+    return (1000 * this.d) / this.n;
+  }
+
+  /** Restart the timeline at the current time. */
+  reset() {
+    this._epoch = performance.now();
+    this._index = 0;
+  }
+
+  /**
+   * Advance to the next slot.
+   * @returns {{delay: number, missed: number}} ms until the slot is due and
+   *          the number of slots skipped because the caller was late
+   */
+  next() {
+    const frameMs = this.frameMs;
+    this._index++;
+    let due = this._epoch + this._index * frameMs;
+    const now = performance.now();
+    let missed = 0;
+    if (now - due > frameMs) {
+      missed = Math.floor((now - due) / frameMs);
+      this._index += missed;
+      due += missed * frameMs;
+    }
+    return { delay: Math.max(0, due - now), missed };
+  }
+}
+
+function valid(n, d) {
+  return Number.isInteger(n) && Number.isInteger(d) && n > 0 && d > 0;
+}
+
+function reduce(n, d) {
+  let a = n;
+  let b = d;
+  while (b) [a, b] = [b, a % b];
+  return { n: n / a, d: d / a };
+}
+
+module.exports = { parseFrameRate, formatFrameRate, FrameTimeline };
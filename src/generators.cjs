@@ -0,0 +1,89 @@
+"use strict";
+
+const { protocol } = require("electron");
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Built-in generator sources, served from inside the app so line-up and
+ * utility pages don't need an external URL:
+ *
+ *   grandicast://bars?pattern=smpte&tone=1&ident=CAM%201
+ *   grandicast://tone?freq=1000&level=-18
+ *   grandicast://clock?tz=Europe/London&format=timecode&fps=25
+ *   grandicast://countdown?target=20:00&tz=America/New_York&label=On%20air
+ *
+ * Each generator is a page in `generators/` that reads its parameters from the
+ * query string; the window then goes through the normal capture / NDI path.
+ */
+const SCHEME = "grandicast";
+const GENERATORS = ["bars", "tone", "clock", "countdown"];
+const DIR = path.join(__dirname, "generators");
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+};
+
+/** Sessions serving the scheme. */
+const handled = new WeakSet();
+
+/**
+ * Make `grandicast://` a standard, secure scheme, so its pages get an origin,
+ * storage and Web Audio like an https page. Must run before the app is ready.
+ */
+function registerGeneratorScheme() {
+  protocol.registerSchemesAsPrivileged([
+    {
+      scheme: SCHEME,
+      privileges: { standard: true, secure: true, supportFetchAPI: true },
+    },
+  ]);
+}
+
+/**
+ * Serve the generators in a session. Protocol handlers are per session, so
+ * every window partition needs its own.
+ * @param {import('electron').Session} ses
+ */
+function serveGenerators(ses) {
+  if (handled.has(ses)) return;
+  handled.add(ses);
+  ses.protocol.handle(SCHEME, (request) => respond(new URL(request.url)));
+}
+
+/**
+ * `grandicast://<generator>/` is the generator's page; other paths are its
+ * shared scripts (`grandicast://<generator>/generator.js`).
+ * @param {URL} url
+ */
+async function respond(url) {
+  if (!GENERATORS.includes(url.hostname)) {
+    return notFound(`Unknown generator: ${url.hostname}`);
+  }
+  const name =
+    url.pathname === "/" ? `${url.hostname}.html` : url.pathname.slice(1);
+  const file = path.join(DIR, name);
+  // Only files directly in generators/
+  if (path.dirname(file) !== DIR || !MIME_TYPES[path.extname(file)]) {
+    return notFound(`Not found: ${url.pathname}`);
+  }
+  try {
+    const body = await fs.promises.readFile(file);
+    return new Response(body, {
+      headers: { "Content-Type": MIME_TYPES[path.extname(file)] },
+    });
+  } catch {
+    return notFound(`Not found: ${url.pathname}`);
+  }
+}
+
+function notFound(message) {
+  return new Response(message, {
+    status: 404,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
+
+module.exports = { registerGeneratorScheme, serveGenerators };
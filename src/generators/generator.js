@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ * Shared helpers for the built-in generator pages (grandicast://…). Each page
+ * reads its settings from the query string, so the whole source is its URL.
+ */
+
+const params = new URLSearchParams(location.search);
+
+/** A query parameter, or `fallback` when missing or empty. */
+function param(name, fallback) {
+  const v = params.get(name);
+  return v === null || v === "" ? fallback : v;
+}
+
+function numParam(name, fallback) {
+  const v = parseFloat(params.get(name));
+  return Number.isFinite(v) ? v : fallback;
+}
+
+/** Text and background colours (`fg`, `bg`); `bg=transparent` for keying. */
+function applyColours(fg, bg) {
+  document.body.style.color = param("fg", fg);
+  document.body.style.background = param("bg", bg);
+}
+
+/**
+ * Play a continuous sine tone. The window's audio capture picks it up like
+ * any other page audio, so NDI audio has to be enabled on the card.
+ * @param {object} opts
+ * @param {number} opts.freq     Hz
+ * @param {number} opts.level    dBFS
+ * @param {string} opts.channel  "both", "left" or "right"
+ */
+function startTone({ freq, level, channel }) {
+  const ctx = new AudioContext({ sampleRate: 48000 });
+  const osc = ctx.createOscillator();
+  osc.frequency.value = Math.min(20000, Math.max(20, freq));
+  const gain = ctx.createGain();
+  gain.gain.value = 10 ** (Math.min(0, level) / 20);
+  osc.connect(gain);
+  if (channel === "left" || channel === "right") {
+    const merger = ctx.createChannelMerger(2);
+    gain.connect(merger, 0, channel === "left" ? 0 : 1);
+    merger.connect(ctx.destination);
+  } else {
+    gain.connect(ctx.destination);
+  }
+  osc.start();
+  if (ctx.state === "suspended") ctx.resume();
+  return ctx;
+}
+
+/** "1 kHz · −18 dBFS" */
+function toneLabel(freq, level) {
+  const f = freq >= 1000 ? `${freq / 1000} kHz` : `${freq} Hz`;
+  return `${f} · ${String(level).replace("-", "−")} dBFS`;
+}
+
+// ── Time zones ───────────────────────────────────────────────────────────────
+const formatters = new Map();
+
+/**
+ * A 24-hour formatter for a time zone ("" = the machine's). An unknown zone
+ * is logged (it shows up in the card's page log) and falls back to local time.
+ */
+function zoneFormatter(tz) {
+  if (!formatters.has(tz)) {
+    const options = {
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    };
+    let fmt;
+    try {
+      fmt = new Intl.DateTimeFormat("en-US", {
+        ...options,
+        timeZone: tz || undefined,
+      });
+    } catch {
+      console.error(`Unknown time zone "${tz}", using local time`);
+      fmt = new Intl.DateTimeFormat("en-US", options);
+    }
+    formatters.set(tz, fmt);
+  }
+  return formatters.get(tz);
+}
+
+/** Wall-clock date and time of an instant in a time zone. */
+function zonedParts(ms, tz) {
+  const p = {};
+  for (const { type, value } of zoneFormatter(tz).formatToParts(ms)) {
+    p[type] = value;
+  }
+  return {
+    year: +p.year,
+    month: +p.month,
+    day: +p.day,
+    hour: +p.hour % 24,
+    minute: +p.minute,
+    second: +p.second,
+  };
+}
+
+/** The zone's offset from UTC at an instant, in ms. */
+function zoneOffset(ms, tz) {
+  const p = zonedParts(ms, tz);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/** The instant a wall-clock time happens in a time zone. */
+function zonedTime(year, month, day, hour, minute, second, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // Second pass corrects the offset when the guess crosses a DST change
+  const guess = wall - zoneOffset(wall, tz);
+  return wall - zoneOffset(guess, tz);
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+/**
+ * Size the display so `chars` characters fill the width without overflowing
+ * the height, now and on every resize.
+ * @param {HTMLElement} el
+ * @param {() => number} chars
+ */
+function fitText(el, chars) {
+  const fit = () => {
+    const size = Math.min(innerWidth / (chars() * 0.62), innerHeight * 0.5);
+    el.style.fontSize = `${Math.floor(size)}px`;
+  };
+  addEventListener("resize", fit);
+  fit();
+  return fit;
+}
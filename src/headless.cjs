@@ -0,0 +1,99 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+/** Audio preset → AudioWorklet buffer size (mirrors the control panel). */
+const AUDIO_BUFFER_SIZES = {
+  low: 1024,
+  balanced: 2048,
+  high: 4096,
+  max: 8192,
+};
+
+/**
+ * Parse Grandicast's own command-line options, ignoring Electron/Chromium
+ * switches.
+ * @param {string[]} argv  Arguments after the executable (and app path)
+ * @returns {{config: string|null, headless: boolean}}
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: "string", short: "c" },
+      headless: { type: "boolean" },
+    },
+    strict: false,
+    allowPositionals: true,
+  });
+  return {
+    config: typeof values.config === "string" ? values.config : null,
+    headless: !!values.headless,
+  };
+}
+
+/**
+ * Read a show file. It uses the same panel shape as `window-settings.json`,
+ * either as a bare array or as `{ "windows": [...] }`.
+ * @param {string} file
+ * @returns {object[]}
+ */
+function loadShowFile(file) {
+  const resolved = path.resolve(file);
+  const parsed = JSON.parse(fs.readFileSync(resolved, "utf-8"));
+  const panels = Array.isArray(parsed) ? parsed : parsed && parsed.windows;
+  if (!Array.isArray(panels)) {
+    throw new Error(`${resolved}: expected an array of windows`);
+  }
+  return panels;
+}
+
+/**
+ * Create every window from a show file and start its NDI sender.
+ * @param {object[]} panels
+ * @param {object} ops
+ * @param {(config: object) => Promise<number>} ops.createWindow
+ * @param {(params: object) => Promise<{success: boolean, error?: string}>} ops.startNdi
+ */
+async function runShow(panels, { createWindow, startNdi }) {
+  for (const [index, p] of panels.entries()) {
+    const n = index + 1;
+    const items = (p && p.playlist && p.playlist.items) || [];
+    const url =
+      items.length > 0 ? `playlist (${items.length} items)` : p && p.url;
+    if (!url) {
+      console.warn(`[Headless] Window ${n}: no URL, skipped`);
+      continue;
+    }
+
+    // Backward compat: old settings had audioEnabled boolean
+    const audioPreset = p.audioPreset || (p.audioEnabled ? "balanced" : "off");
+    const ndiName = p.ndiName || `Grandicast-${n}`;
+
+    const id = await createWindow({
+      ...p,
+      title: `Grandicast – ${ndiName}`,
+    });
+    console.log(
+      `[Headless] Window ${n} (id ${id}) → ${url} (${p.width || 1280}×${p.height || 720})`,
+    );
+
+    const result = await startNdi({
+      ...p,
+      id,
+      ndiName,
+      fps: p.fps || 30,
+      audioEnabled: audioPreset !== "off",
+      audioBufferSize: AUDIO_BUFFER_SIZES[audioPreset] || 2048,
+    });
+    if (result.success) {
+      console.log(`[Headless] NDI "${ndiName}" started`);
+    } else {
+      console.error(`[Headless] NDI "${ndiName}" failed: ${result.error}`);
+    }
+  }
+}
+
+module.exports = { AUDIO_BUFFER_SIZES, parseCliArgs, loadShowFile, runShow };
@@ -1,14 +1,57 @@
 "use strict";
 
-const { app, BrowserWindow, ipcMain, session } = require("electron");
+const { app, BrowserWindow, ipcMain } = require("electron");
 const path = require("path");
 const fs = require("fs");
 const NdiManager = require("./ndi-manager.cjs");
+const WindowWatchdog = require("./window-watchdog.cjs");
+const RemoteApiServer = require("./remote-api.cjs");
+const { ChannelBridge, normalizeGroup } = require("./channel-bridge.cjs");
+const StateStore = require("./state-store.cjs");
+const Playlist = require("./playlist.cjs");
+const {
+  normalizeSessionConfig,
+  getSession,
+  applyProxy,
+  applyToWebContents,
+  clearSessionData,
+} = require("./window-session.cjs");
+const {
+  normalizeInjection,
+  attachInjection,
+  updateInjection,
+} = require("./page-injection.cjs");
+const { VIDEO_FORMATS, resolveVideoFormat } = require("./video-format.cjs");
+const { WindowLog, LogFile } = require("./window-log.cjs");
+const { registerGeneratorScheme } = require("./generators.cjs");
+const { parseCliArgs, loadShowFile, runShow } = require("./headless.cjs");
+
+// `electron .` passes the app path as argv[1]; a packaged build does not
+const cliArgs = parseCliArgs(process.argv.slice(process.defaultApp ? 2 : 1));
+// grandicast:// generator pages (bars, tone, clock, countdown)
+registerGeneratorScheme();
 
 // ── State ────────────────────────────────────────────────────────────────────
-const browserWindows = new Map(); // windowId → { win, config, ndiManager, ndiActive }
+const browserWindows = new Map(); // windowId → { win, config, ndiManager, watchdog, ndiActive }
 let controlPanel = null;
+let remoteApi = null;
+// BroadcastChannel relay between capture windows (and WebSocket peers)
+const channelBridge = new ChannelBridge(function* () {
+  for (const [id, data] of browserWindows) {
+    if (data.win.isDestroyed()) continue;
+    yield {
+      id,
+      group: data.config.bridgeGroup,
+      webContents: data.win.webContents,
+    };
+  }
+});
+// Shared key-value state for pages, the control panel and the remote API
+const stateStore = new StateStore(getStatePath());
+// Console, network and crash logs of every capture window (see WindowLog)
+const pageLogFile = new LogFile(getPageLogPath());
 let nextWindowId = 1;
+let shuttingDown = false;
 
 // ── Settings persistence ─────────────────────────────────────────────────────
 function getSettingsPath() {
@@ -36,6 +79,76 @@ function saveSettings(panels) {
   }
 }
 
+function getStatePath() {
+  return path.join(app.getPath("userData"), "shared-state.json");
+}
+
+function getPageLogPath() {
+  return path.join(app.getPath("userData"), "pages.log");
+}
+
+// ── App settings (app-settings.json) ─────────────────────────────────────────
+function getAppSettingsPath() {
+  return path.join(app.getPath("userData"), "app-settings.json");
+}
+
+function loadAppSettings() {
+  try {
+    const settingsPath = getAppSettingsPath();
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, "utf-8"));
+    }
+  } catch (e) {
+    console.error("[Settings] Failed to load app settings:", e.message);
+  }
+  return {};
+}
+
+/**
+ * Resolve the remote-control API configuration. Command-line switches
+ * (`--api`, `--api-port=`, `--api-host=`, `--api-token=`) and the
+ * GRANDICAST_API_TOKEN environment variable override `app-settings.json`.
+ */
+function getRemoteApiConfig() {
+  const cfg = {
+    enabled: false,
+    port: 8088,
+    host: "127.0.0.1",
+    token: "",
+    origins: [],
+  };
+  Object.assign(cfg, loadAppSettings().remoteApi || {});
+
+  const cli = app.commandLine;
+  if (cli.hasSwitch("api")) cfg.enabled = true;
+  if (cli.hasSwitch("api-port")) {
+    cfg.enabled = true;
+    cfg.port = parseInt(cli.getSwitchValue("api-port"), 10) || cfg.port;
+  }
+  if (cli.hasSwitch("api-host")) cfg.host = cli.getSwitchValue("api-host");
+  if (cli.hasSwitch("api-token")) cfg.token = cli.getSwitchValue("api-token");
+  if (process.env.GRANDICAST_API_TOKEN) {
+    cfg.token = process.env.GRANDICAST_API_TOKEN;
+  }
+  return cfg;
+}
+
+// ── Status events ────────────────────────────────────────────────────────────
+/**
+ * Push a status event to the control panel and any remote API clients.
+ * @param {string} event
+ * @param {object} data
+ */
+function notify(event, data) {
+  if (cliArgs.headless) {
+    console.log(`[Status] ${event}`, JSON.stringify(data));
+  }
+  if (controlPanel && !controlPanel.isDestroyed()) {
+    controlPanel.webContents.send(event, data);
+  }
+  if (remoteApi) remoteApi.broadcast(event, data);
+}
+
 // ── Control Panel ────────────────────────────────────────────────────────────
 function createControlPanel() {
   controlPanel = new BrowserWindow({
@@ -60,48 +173,335 @@ function createControlPanel() {
   });
 
   controlPanel.on("closed", () => {
-    for (const [, data] of browserWindows) {
-      data.ndiManager.stop();
-      if (!data.win.isDestroyed()) data.win.close();
-    }
-    browserWindows.clear();
     controlPanel = null;
-    app.quit();
+    shutdown();
   });
 }
 
-app.whenReady().then(() => {
-  // Auto-approve getDisplayMedia requests so the preload can capture tab audio
-  session.defaultSession.setDisplayMediaRequestHandler((request, callback) => {
-    callback({ video: request.frame, audio: "loopback" });
+/** Stop every NDI sender, close all capture windows and quit. */
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const stops = [];
+  for (const [, data] of browserWindows) {
+    stops.push(disposeWindow(data));
+    if (!data.win.isDestroyed()) data.win.close();
+  }
+  browserWindows.clear();
+  await Promise.allSettled(stops);
+  app.quit();
+}
+
+// ── Headless mode ────────────────────────────────────────────────────────────
+async function startHeadless() {
+  let panels;
+  try {
+    panels = loadShowFile(cliArgs.config);
+  } catch (e) {
+    console.error("[Headless] Failed to load show file:", e.message);
+    app.exit(1);
+    return;
+  }
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, () => {
+      console.log(`[Headless] ${signal} received, shutting down`);
+      shutdown();
+    });
+  }
+
+  console.log(
+    `[Headless] Starting ${panels.length} window(s) from ${cliArgs.config}`,
+  );
+  await runShow(panels, { createWindow, startNdi });
+}
+
+async function startRemoteApi() {
+  const cfg = getRemoteApiConfig();
+  if (!cfg.enabled) return;
+
+  // An unknown window is null (404); false and {success: false} are refusals
+  const forWindow = (fn) => (params) =>
+    browserWindows.has(params.id) ? fn(params) : null;
+  remoteApi = new RemoteApiServer({
+    port: cfg.port,
+    host: cfg.host,
+    token: cfg.token,
+    origins: cfg.origins,
+    bridge: channelBridge,
+    methods: {
+      status: () => ({ ndi: checkNdi(), windows: listWindows() }),
+      listWindows: () => listWindows(),
+      getWindow: forWindow(({ id }) => describeWindow(id)),
+      createWindow: (config) => createWindow(config),
+      updateWindow: forWindow(({ id, ...config }) => updateWindow(id, config)),
+      reloadWindow: forWindow(({ id }) => reloadWindow(id)),
+      closeWindow: forWindow(({ id }) => closeWindow(id)),
+      clearSession: forWindow(({ id }) => clearSession(id)),
+      playlistNext: forWindow(({ id }) => playlistControl(id, "next")),
+      playlistPrev: forWindow(({ id }) => playlistControl(id, "prev")),
+      playlistCue: forWindow(({ id, index }) =>
+        playlistControl(id, "cue", index),
+      ),
+      startNdi: forWindow((params) => startNdi(params)),
+      stopNdi: forWindow(({ id }) => stopNdi(id)),
+      getStats: forWindow(({ id }) => getNdiStats(id)),
+      getPreview: forWindow(({ id, ...options }) => getPreview(id, options)),
+      getIncidents: forWindow(({ id }) => getIncidents(id)),
+      getLog: forWindow(({ id }) => getWindowLog(id)),
+      clearLog: forWindow(({ id }) => clearWindowLog(id)),
+      freeze: forWindow(({ id }) => setFreeze(id, true)),
+      unfreeze: forWindow(({ id }) => setFreeze(id, false)),
+      setAudio: forWindow(({ id, ...mix }) => setAudio(id, mix)),
+      sendMetadata: forWindow(({ id, data }) => sendMetadata(id, data)),
+      getState: ({ key }) =>
+        key === undefined
+          ? stateStore.getAll()
+          : { key, value: stateStore.get(key) },
+      setState: ({ key, value }) => setSharedState(key, value),
+      deleteState: ({ key }) => setSharedState(key, null),
+      replaceState: ({ values }) => replaceSharedState(values),
+      checkNdi: () => checkNdi(),
+    },
   });
-  createControlPanel();
+
+  try {
+    await remoteApi.start();
+  } catch (e) {
+    console.error("[RemoteApi] Failed to start:", e.message);
+    remoteApi = null;
+  }
+}
+
+app.whenReady().then(() => {
+  stateStore.load();
+  if (cliArgs.headless) {
+    if (cliArgs.config) {
+      startHeadless().catch((err) => {
+        console.error("[Headless] Failed to start the show:", err.message);
+        app.exit(1);
+      });
+    } else {
+      console.error("[Headless] --headless requires --config <show.json>");
+      app.exit(1);
+      return;
+    }
+  } else {
+    if (cliArgs.config) {
+      console.warn("[Headless] --config is only used with --headless");
+    }
+    createControlPanel();
+  }
+  startRemoteApi();
 });
 app.on("window-all-closed", () => {
-  /* keep running until control panel closes */
+  /* keep running until control panel closes (or SIGTERM in headless mode) */
+});
+app.on("will-quit", () => {
+  channelBridge.closeAll();
+  stateStore.flush();
+  pageLogFile.close();
+  if (remoteApi) remoteApi.stop();
 });
 
 // ── IPC: Audio PCM from browser renderers ────────────────────────────────────
-ipcMain.on("audio-pcm-data", (event, { noSamples, planarBuf }) => {
-  const senderId = event.sender.id;
-  for (const [, data] of browserWindows) {
-    if (!data.win.isDestroyed() && data.win.webContents.id === senderId) {
-      if (data.ndiManager && data.ndiActive) {
-        data.ndiManager.pushAudio(Buffer.from(planarBuf), noSamples);
+/** Selectable audio channel layouts: mono, stereo, 5.1. */
+const AUDIO_CHANNEL_LAYOUTS = [1, 2, 6];
+/** How often accumulated meter levels are pushed to the control panel. */
+const METER_INTERVAL_MS = 100;
+
+function clampGain(db) {
+  const v = Number(db);
+  return Number.isFinite(v) ? Math.min(12, Math.max(-60, v)) : 0;
+}
+
+/** Options for the renderer's `start-audio-capture`. */
+function audioCaptureOptions(data) {
+  return {
+    bufferSize: data.audioBufferSize,
+    channels: data.audioChannels,
+    gain: data.audioGain,
+    muted: data.audioMuted,
+  };
+}
+
+/**
+ * Accumulate a chunk's levels and push the loudest values of each interval to
+ * the control panel meters. Meters go straight to the panel rather than
+ * through notify() – they are too chatty for the status log and remote API.
+ */
+function meterAudio(id, data, levels) {
+  if (!levels || !Array.isArray(levels.peak)) return;
+  const now = Date.now();
+  const m = data.meter;
+  if (!m || m.peak.length !== levels.peak.length) {
+    data.meter = { since: now, peak: [...levels.peak], rms: [...levels.rms] };
+  } else {
+    levels.peak.forEach((v, i) => (m.peak[i] = Math.max(m.peak[i], v)));
+    levels.rms.forEach((v, i) => (m.rms[i] = Math.max(m.rms[i], v)));
+  }
+  if (now - data.meter.since < METER_INTERVAL_MS) return;
+  if (controlPanel && !controlPanel.isDestroyed()) {
+    controlPanel.webContents.send("audio-levels", {
+      id,
+      peak: data.meter.peak,
+      rms: data.meter.rms,
+      muted: data.audioMuted,
+    });
+  }
+  data.meter = null;
+}
+
+ipcMain.on(
+  "audio-pcm-data",
+  (event, { noSamples, noChannels, capturedAt, planarBuf, levels }) => {
+    const senderId = event.sender.id;
+    for (const [id, data] of browserWindows) {
+      if (!data.win.isDestroyed() && data.win.webContents.id === senderId) {
+        if (data.ndiManager && data.ndiActive) {
+          data.ndiManager.pushAudio(
+            Buffer.from(planarBuf),
+            noSamples,
+            noChannels,
+            capturedAt,
+          );
+          meterAudio(id, data, levels);
+        }
+        break;
       }
-      break;
     }
+  },
+);
+
+// ── Window operations ────────────────────────────────────────────────────────
+// Shared by the control panel IPC handlers and the remote-control API.
+
+/** Watchdog states in which the page is not showing usable content. */
+const FAILED_STATES = new Set(["crashed", "failed", "unresponsive", "offline"]);
+
+/**
+ * Describe a window and its NDI sender for API consumers.
+ * @param {number} id
+ */
+function describeWindow(id) {
+  const data = browserWindows.get(id);
+  if (!data || data.win.isDestroyed()) return null;
+  return {
+    id,
+    url: data.win.webContents.getURL() || data.config.url || "",
+    title: data.config.title || data.win.getTitle(),
+    width: data.config.width,
+    height: data.config.height,
+    zoom: data.config.zoom,
+    outputWidth: data.config.outputWidth,
+    outputHeight: data.config.outputHeight,
+    transparent: !!data.config.transparent,
+    frameless: !!data.config.frameless,
+    hidden: !!data.config.hidden,
+    captureMode: data.config.captureMode,
+    videoFormat: data.config.videoFormat,
+    adaptiveCapture: data.config.adaptiveCapture,
+    bridgeGroup: data.config.bridgeGroup,
+    visible: data.win.isVisible(),
+    loading: data.win.webContents.isLoading(),
+    fallback: data.ndiManager.fallback.toJSON(),
+    holding: data.ndiManager.holding,
+    frozen: data.ndiManager.frozen,
+    pageStatus: data.pageStatus,
+    session: data.config.session,
+    inject: data.config.inject,
+    playlist: {
+      ...data.playlist.toJSON(),
+      ...data.playlist.status(),
+      preloaded: !!(data.companion && data.companion.ready),
+    },
+    status: {
+      state: data.watchdog.state,
+      message: data.watchdog.message,
+      retryAt: data.watchdog.retryAt,
+    },
+    ndi: {
+      active: data.ndiActive,
+      name: data.ndiActive ? data.ndiName : null,
+      videoFormat: data.ndiManager.videoFormat,
+      fps: data.ndiActive ? data.ndiManager.fps : null,
+      frameRate: data.ndiActive
+        ? `${data.ndiManager.frameRateN}/${data.ndiManager.frameRateD}`
+        : null,
+      audioEnabled: data.ndiActive && data.audioEnabled,
+      audio: {
+        channels: data.audioChannels,
+        gain: data.audioGain,
+        muted: data.audioMuted,
+        offset: data.ndiManager.audioOffsetMs,
+      },
+      tally: data.ndiManager.tally,
+      regions: data.ndiManager.regions,
+    },
+  };
+}
+
+function listWindows() {
+  return [...browserWindows.keys()].map(describeWindow).filter(Boolean);
+}
+
+// ── Layout ──────────────────────────────────────────────────────────────────
+// `width` × `height` is the page's layout viewport in CSS pixels. The window
+// renders it at `zoom` window pixels per CSS pixel, so a 1920×1080 design at
+// zoom 2 is drawn natively at 3840×2160. The NDI output defaults to that
+// rendered size; a different output size scales the captured bitmap.
+
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 5;
+
+/** @param {object} config */
+function normalizeLayout(config) {
+  const zoom = Number(config.zoom) || 1;
+  return {
+    width: Math.round(Number(config.width)) || 1280,
+    height: Math.round(Number(config.height)) || 720,
+    zoom: Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom)),
+    // 0 = the rendered size
+    outputWidth: Math.max(0, Math.round(Number(config.outputWidth) || 0)),
+    outputHeight: Math.max(0, Math.round(Number(config.outputHeight) || 0)),
+  };
+}
+
+/**
+ * Window content size in pixels for a layout.
+ * @param {{width: number, height: number, zoom: number}} config
+ */
+function renderSize({ width, height, zoom }) {
+  return {
+    width: Math.round(width * zoom),
+    height: Math.round(height * zoom),
+  };
+}
+
+/**
+ * NDI frame size for a layout.
+ * @param {object} config  Normalised
+ */
+function outputSize(config) {
+  if (config.outputWidth && config.outputHeight) {
+    return { width: config.outputWidth, height: config.outputHeight };
   }
-});
+  return renderSize(config);
+}
 
-// ── IPC: Window management ───────────────────────────────────────────────────
-ipcMain.handle("create-window", async (_ev, config) => {
-  const id = nextWindowId++;
-  const width = config.width || 1280;
-  const height = config.height || 720;
-  const transparent = !!config.transparent;
-  const frameless = !!config.frameless;
-  const hidden = !!config.hidden;
+/**
+ * Create a capture BrowserWindow for a window config. Playlists use the same
+ * for their hidden companion windows, so a preloaded page renders exactly as
+ * it will on air.
+ * @param {number} id
+ * @param {object} config  Normalised window config
+ * @param {{companion?: boolean, log?: WindowLog}} [options]  Companions
+ *        start hidden; `log` collects the page's console and errors
+ */
+function newBrowserWindow(id, config, { companion = false, log } = {}) {
+  const { transparent, frameless, hidden } = config;
+  const { width, height } = renderSize(config);
+  const offscreen = config.captureMode === "offscreen";
 
   const win = new BrowserWindow({
     width,
@@ -110,70 +510,201 @@ ipcMain.handle("create-window", async (_ev, config) => {
     backgroundColor: transparent ? "#00000000" : "#ffffffff",
     frame: !(transparent || frameless),
     hasShadow: !transparent,
-    show: !hidden,
+    show: !companion && !hidden && !offscreen,
     webPreferences: {
       preload: path.join(__dirname, "preload-browser.cjs"),
       contextIsolation: false,
       nodeIntegration: false,
       backgroundThrottling: false,
+      offscreen,
+      session: getSession(config.session),
+      zoomFactor: config.zoom,
     },
     title: config.title || `Grandicast - Window ${id}`,
   });
 
   win.setContentSize(width, height);
+  // Chromium shares zoom between same-origin pages, so re-assert ours
+  win.webContents.on("did-navigate", () =>
+    win.webContents.setZoomFactor(config.zoom),
+  );
+  applyToWebContents(win.webContents, config.session);
+  if (log) log.attach(win.webContents);
+  attachInjection(win.webContents, config, (text) =>
+    notify("page-log", { id, level: "error", text, time: Date.now() }),
+  );
+  return win;
+}
+
+async function createWindow(config = {}) {
+  const id = nextWindowId++;
+  // "offscreen" renders without a visible surface and feeds NDI from `paint`
+  const captureMode =
+    config.captureMode === "offscreen" ? "offscreen" : "capture";
+  const playlist = new Playlist(config.playlist);
+  const firstItem = playlist.begin();
+  const windowConfig = {
+    ...config,
+    url: firstItem ? firstItem.url : config.url,
+    ...normalizeLayout(config),
+    transparent: !!config.transparent,
+    frameless: !!config.frameless,
+    hidden: !!config.hidden,
+    captureMode,
+    adaptiveCapture: !!config.adaptiveCapture,
+    videoFormat: VIDEO_FORMATS.includes(config.videoFormat)
+      ? config.videoFormat
+      : "bgra",
+    bridgeGroup: normalizeGroup(config.bridgeGroup),
+    playlist: playlist.toJSON(),
+    session: normalizeSessionConfig(config.session),
+    inject: normalizeInjection(config.inject),
+  };
 
-  if (config.url) {
+  const log = new WindowLog(id, pageLogFile);
+  log.on("entries", (batch) => notify("window-log", { id, ...batch }));
+  const win = newBrowserWindow(id, windowConfig, { log });
+  // Before the first load, so no request bypasses the proxy
+  await setProxy(id, win.webContents.session, windowConfig.session);
+
+  // Attach before the first load so initial failures are caught too
+  const watchdog = new WindowWatchdog(
+    id,
+    win,
+    () => {
+      const d = browserWindows.get(id);
+      return d ? d.config.url : windowConfig.url;
+    },
+    config.watchdog,
+  );
+  watchdog.on("status", (status) => {
+    notify("window-status", { id, ...status });
+    // Keep the hold through the retry's "loading" until the page is back
+    const d = browserWindows.get(id);
+    if (d && FAILED_STATES.has(status.state)) {
+      d.ndiManager.setHold("error", true);
+    } else if (d && status.state === "ok") {
+      d.ndiManager.setHold("error", false);
+    }
+  });
+
+  if (windowConfig.url) {
     win
-      .loadURL(config.url)
+      .loadURL(windowConfig.url)
       .catch((err) =>
-        console.error(`Failed to load URL ${config.url}:`, err.message),
+        console.error(`Failed to load URL ${windowConfig.url}:`, err.message),
       );
   }
 
-  if (transparent) {
-    win.webContents.on("dom-ready", () => {
-      win.webContents.insertCSS(
-        "html, body { background: transparent !important; }",
-      );
-    });
-  }
+  const ndiManager = new NdiManager(id, win, {
+    captureMode,
+    regions: config.regions,
+    fallback: config.fallback,
+    videoFormat: resolveVideoFormat(
+      windowConfig.videoFormat,
+      windowConfig.transparent,
+    ),
+    adaptive: windowConfig.adaptiveCapture,
+  });
+  ndiManager.zoom = windowConfig.zoom;
+  ndiManager.on("hold", (hold) => {
+    notify("ndi-hold", { id, ...hold });
+    sendPageState(id);
+  });
 
-  const ndiManager = new NdiManager(id, win);
+  ndiManager.on("tally", (tally) => {
+    notify("ndi-tally", { id, ...tally });
+    const d = browserWindows.get(id);
+    if (d && !d.win.isDestroyed()) d.win.webContents.send("ndi-tally", tally);
+  });
+
+  playlist.on("cue", ({ index }) => cutToItem(id, index));
 
   browserWindows.set(id, {
     win,
-    config: { ...config, width, height },
+    config: windowConfig,
     ndiManager,
+    watchdog,
+    log,
+    playlist,
+    companion: null,
+    cutSeq: 0,
     ndiActive: false,
+    ndiName: null,
     audioEnabled: false,
     audioBufferSize: 4096,
+    audioChannels: 2,
+    audioGain: 0,
+    audioMuted: false,
+    meter: null,
+    pageStatus: null,
+    /** Page status / log messages waiting for the next batch. */
+    pageMessages: { logs: [], dropped: 0, status: null, timer: null },
   });
+  wireWindow(id, win);
+  preloadUpcoming(id);
 
-  // After any navigation / reload, re-start audio capture if NDI is active
-  win.webContents.on("did-finish-load", () => {
+  notify("window-created", { id });
+  if (playlist.active) notifyPlaylist(id);
+  return id;
+}
+
+/**
+ * Per-page listeners for the window currently on air. They go quiet once a
+ * playlist cut replaces the window.
+ * @param {number} id
+ * @param {import('electron').BrowserWindow} win
+ */
+function wireWindow(id, win) {
+  const onAir = () => {
     const d = browserWindows.get(id);
-    if (d && d.ndiActive && d.audioEnabled && !d.win.isDestroyed()) {
-      d.win.webContents.send("start-audio-capture", {
-        bufferSize: d.audioBufferSize,
-      });
+    return d && d.win === win ? d : null;
+  };
+  const wc = win.webContents;
+
+  // Hide main-frame navigations (blank/white first paints) behind the fallback
+  wc.on("did-start-navigation", (details) => {
+    const d = onAir();
+    if (d && details.isMainFrame && !details.isSameDocument) {
+      d.ndiManager.setHold("navigation", true);
+    }
+  });
+  wc.on("did-finish-load", () => {
+    const d = onAir();
+    if (d) d.ndiManager.setHold("navigation", false);
+  });
+  wc.on("did-fail-load", (_ev, _code, _desc, _url, isMainFrame) => {
+    // The watchdog's "failed" state takes over the hold
+    const d = onAir();
+    if (d && isMainFrame) d.ndiManager.setHold("navigation", false);
+  });
+
+  // Give a freshly loaded page the current tally state
+  wc.on("dom-ready", () => {
+    const d = onAir();
+    if (d && d.ndiActive) wc.send("ndi-tally", d.ndiManager.tally);
+  });
+
+  // After any navigation / reload, re-start audio capture if NDI is active
+  wc.on("did-finish-load", () => {
+    const d = onAir();
+    if (d && d.ndiActive && d.audioEnabled) {
+      wc.send("start-audio-capture", audioCaptureOptions(d));
     }
   });
 
   win.on("closed", () => {
     const data = browserWindows.get(id);
+    if (data && data.win !== win) return; // replaced by a playlist cut
     if (data) {
-      data.ndiManager.stop();
+      disposeWindow(data);
       browserWindows.delete(id);
     }
-    if (controlPanel && !controlPanel.isDestroyed()) {
-      controlPanel.webContents.send("window-closed", id);
-    }
+    notify("window-closed", { id });
   });
+}
 
-  return id;
-});
-
-ipcMain.handle("update-window", async (_ev, { id, config }) => {
+async function updateWindow(id, config = {}) {
   const data = browserWindows.get(id);
   if (!data || data.win.isDestroyed()) return false;
 
@@ -182,15 +713,36 @@ ipcMain.handle("update-window", async (_ev, { id, config }) => {
     data.config.url = config.url;
   }
 
-  if (config.width && config.height) {
-    data.win.setContentSize(config.width, config.height);
-    data.config.width = config.width;
-    data.config.height = config.height;
+  const layoutKeys = ["width", "height", "zoom", "outputWidth", "outputHeight"];
+  if (layoutKeys.some((key) => config[key] !== undefined)) {
+    Object.assign(data.config, normalizeLayout({ ...data.config, ...config }));
+    const { width, height } = renderSize(data.config);
+    for (const win of [data.win, data.companion && data.companion.win]) {
+      if (win && !win.isDestroyed()) {
+        win.setContentSize(width, height);
+        win.webContents.setZoomFactor(data.config.zoom);
+      }
+    }
+    data.ndiManager.zoom = data.config.zoom;
     // Live-update NDI capture resolution
     if (data.ndiActive) {
-      data.ndiManager.width = config.width;
-      data.ndiManager.height = config.height;
+      const output = outputSize(data.config);
+      data.ndiManager.width = output.width;
+      data.ndiManager.height = output.height;
     }
+    sendPageState(id);
+  }
+
+  if (config.adaptiveCapture !== undefined) {
+    data.config.adaptiveCapture = !!config.adaptiveCapture;
+    data.ndiManager.setAdaptive(data.config.adaptiveCapture);
+  }
+
+  if (VIDEO_FORMATS.includes(config.videoFormat)) {
+    data.config.videoFormat = config.videoFormat;
+    data.ndiManager.setVideoFormat(
+      resolveVideoFormat(config.videoFormat, data.config.transparent),
+    );
   }
 
   if (config.title) {
@@ -198,60 +750,384 @@ ipcMain.handle("update-window", async (_ev, { id, config }) => {
     data.config.title = config.title;
   }
 
+  if (config.watchdog) {
+    data.config.watchdog = config.watchdog;
+    data.watchdog.configure(config.watchdog);
+  }
+
+  if (config.fallback) {
+    data.config.fallback = config.fallback;
+    data.ndiManager.setFallback(config.fallback);
+  }
+
+  if (config.bridgeGroup !== undefined) {
+    data.config.bridgeGroup = normalizeGroup(config.bridgeGroup);
+  }
+
+  // Everything but the partition applies live; the partition is fixed for the
+  // window's lifetime
+  if (config.session) {
+    const { partition, persistent } = data.config.session;
+    data.config.session = normalizeSessionConfig({
+      ...config.session,
+      partition,
+      persistent,
+    });
+    for (const win of [data.win, data.companion && data.companion.win]) {
+      if (win && !win.isDestroyed()) {
+        applyToWebContents(win.webContents, data.config.session);
+      }
+    }
+    setProxy(id, data.win.webContents.session, data.config.session);
+  }
+
+  if (config.inject) {
+    data.config.inject = normalizeInjection({
+      ...data.config.inject,
+      ...config.inject,
+    });
+    for (const win of [data.win, data.companion && data.companion.win]) {
+      if (win && !win.isDestroyed()) {
+        updateInjection(win.webContents, data.config);
+      }
+    }
+  }
+
+  if (config.playlist !== undefined) {
+    const wasActive = data.playlist.active;
+    data.playlist.configure(config.playlist || {});
+    data.config.playlist = data.playlist.toJSON();
+    // A new playlist takes over from the single URL with its first item
+    if (!wasActive && data.playlist.active) data.playlist.cue(0);
+    preloadUpcoming(id);
+    notifyPlaylist(id);
+  }
+
+  // Crop regions restart their senders live while NDI is running
+  if (Array.isArray(config.regions)) {
+    data.config.regions = config.regions;
+    try {
+      await data.ndiManager.setRegions(config.regions);
+    } catch (err) {
+      console.error(`[NdiManager] Window ${id} regions failed:`, err.message);
+      return { success: false, error: err.message };
+    }
+  }
+
   return true;
-});
+}
 
-ipcMain.handle("reload-window", async (_ev, id) => {
+function reloadWindow(id) {
   const data = browserWindows.get(id);
   if (!data || data.win.isDestroyed()) return false;
   data.win.webContents.reload();
   return true;
-});
+}
 
-ipcMain.handle("close-window", async (_ev, id) => {
+function closeWindow(id) {
   const data = browserWindows.get(id);
   if (!data) return false;
-  data.ndiManager.stop();
+  disposeWindow(data);
   if (!data.win.isDestroyed()) data.win.close();
   browserWindows.delete(id);
   return true;
-});
+}
 
-// ── IPC: NDI ─────────────────────────────────────────────────────────────────
-ipcMain.handle(
-  "start-ndi",
-  async (_ev, { id, ndiName, fps, audioEnabled, audioBufferSize }) => {
-    const data = browserWindows.get(id);
-    if (!data || data.win.isDestroyed())
-      return { success: false, error: "Window not found" };
+/**
+ * Delete the cookies, storage and cache of a window's session and reload it.
+ * Windows without a partition share the default session with the control
+ * panel and each other, so those are refused.
+ * @param {number} id
+ */
+async function clearSession(id) {
+  const data = browserWindows.get(id);
+  if (!data || data.win.isDestroyed()) return false;
+  if (!data.config.session.partition) {
+    return {
+      success: false,
+      error: "The window uses the shared session; give it a partition first",
+    };
+  }
+  try {
+    await clearSessionData(data.win.webContents.session);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  data.watchdog.report(
+    "session",
+    `Session data cleared (${data.config.session.partition})`,
+  );
+  data.win.webContents.reload();
+  return { success: true };
+}
 
-    try {
-      await data.ndiManager.start(
-        ndiName || `Grandicast-${id}`,
-        fps || 30,
-        data.config.width || 1280,
-        data.config.height || 720,
-        !!audioEnabled,
-      );
-      data.ndiActive = true;
-      data.audioEnabled = !!audioEnabled;
-      data.audioBufferSize = audioBufferSize || 4096;
-
-      // Tell the browser window renderer to start capturing tab audio
-      if (audioEnabled && !data.win.isDestroyed()) {
-        data.win.webContents.send("start-audio-capture", {
-          bufferSize: data.audioBufferSize,
-        });
-      }
+/**
+ * @param {number} id
+ * @param {import('electron').Session} ses
+ * @param {import('./window-session.cjs').SessionConfig} config
+ */
+async function setProxy(id, ses, config) {
+  try {
+    await applyProxy(ses, config);
+  } catch (err) {
+    console.error(`[Session] Window ${id} proxy rejected:`, err.message);
+  }
+}
 
-      return { success: true };
-    } catch (err) {
-      return { success: false, error: err.message };
+/** Stop a window's sender, timers and companion (closing or shutdown). */
+function disposeWindow(data) {
+  clearTimeout(data.pageMessages.timer);
+  data.watchdog.dispose();
+  data.log.dispose();
+  data.playlist.dispose();
+  discardCompanion(data);
+  return data.ndiManager.stop();
+}
+
+// ── Playlists ────────────────────────────────────────────────────────────────
+// The next item loads in a hidden companion window built like the on-air one.
+// A cut swaps the companion in once it has loaded, so the NDI output goes
+// straight from one finished page to the next.
+
+/** How long a companion may take to load before the cut is abandoned. */
+const PRELOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Start loading a URL in a hidden companion window.
+ * @param {number} id
+ * @param {string} url
+ */
+function loadCompanion(id, url) {
+  const data = browserWindows.get(id);
+  const win = newBrowserWindow(id, data.config, {
+    companion: true,
+    log: data.log,
+  });
+  const companion = { win, url, ready: false, loaded: null };
+  companion.loaded = new Promise((resolve) => {
+    let settled = false;
+    const done = (ok) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      companion.ready = ok;
+      resolve(ok);
+    };
+    const timer = setTimeout(() => done(false), PRELOAD_TIMEOUT_MS);
+    win.webContents.once("did-finish-load", () => done(true));
+    win.webContents.on(
+      "did-fail-load",
+      (_ev, code, desc, _url, isMainFrame) => {
+        // -3 (aborted) is a redirect replacing the navigation, not a failure
+        if (settled || !isMainFrame || code === -3) return;
+        console.error(
+          `[Playlist] Window ${id} failed to preload ${url}: ${desc}`,
+        );
+        done(false);
+      },
+    );
+    win.once("closed", () => done(false));
+  });
+  win.loadURL(url).catch(() => {});
+  return companion;
+}
+
+function discardCompanion(data) {
+  if (data.companion && !data.companion.win.isDestroyed()) {
+    data.companion.win.destroy();
+  }
+  data.companion = null;
+}
+
+/** Preload the playlist's next item unless it is already loading. */
+function preloadUpcoming(id) {
+  const data = browserWindows.get(id);
+  if (!data) return;
+  const item = data.playlist.items[data.playlist.upcomingIndex];
+  if (data.companion && item && data.companion.url === item.url) return;
+  discardCompanion(data);
+  if (!item) return;
+  const companion = loadCompanion(id, item.url);
+  data.companion = companion;
+  companion.loaded.then(() => {
+    if (data.companion === companion) notifyPlaylist(id);
+  });
+}
+
+/**
+ * Put a playlist item on air (fired by the playlist's "cue" event).
+ * @param {number} id
+ * @param {number} index
+ */
+async function cutToItem(id, index) {
+  const data = browserWindows.get(id);
+  if (!data || data.win.isDestroyed()) return;
+  const { url } = data.playlist.items[index];
+  const seq = ++data.cutSeq;
+
+  let companion = data.companion;
+  data.companion = null;
+  if (!companion || companion.url !== url) {
+    if (companion) companion.win.destroy();
+    companion = loadCompanion(id, url);
+  }
+  notifyPlaylist(id, { cueing: true });
+  const ok = await companion.loaded;
+
+  // Superseded by a later cue, or the window closed meanwhile
+  if (seq !== data.cutSeq || browserWindows.get(id) !== data) {
+    if (!companion.win.isDestroyed()) companion.win.destroy();
+    return;
+  }
+  if (ok) {
+    data.config.url = url;
+    swapWindow(id, companion.win);
+  } else {
+    if (!companion.win.isDestroyed()) companion.win.destroy();
+    data.watchdog.report(
+      "playlist",
+      `Item ${index + 1} did not load (${url}) – kept the current page`,
+    );
+  }
+  data.playlist.startDwell();
+  preloadUpcoming(id);
+  notifyPlaylist(id);
+}
+
+/**
+ * Make a loaded companion the window on air and close the old one.
+ * @param {number} id
+ * @param {import('electron').BrowserWindow} next
+ */
+function swapWindow(id, next) {
+  const data = browserWindows.get(id);
+  const previous = data.win;
+  const visible = !previous.isDestroyed() && previous.isVisible();
+  if (visible) {
+    next.setBounds(previous.getBounds());
+    next.showInactive();
+  }
+
+  data.win = next;
+  data.ndiManager.setWindow(next);
+  // A navigation the old page had in progress never finishes now
+  data.ndiManager.setHold("navigation", false);
+  data.watchdog.setWindow(next);
+  wireWindow(id, next);
+
+  // The page learns it is on air only now
+  if (data.ndiActive) {
+    next.webContents.send("ndi-tally", data.ndiManager.tally);
+    if (data.audioEnabled) {
+      next.webContents.send("start-audio-capture", audioCaptureOptions(data));
     }
-  },
-);
+  }
+  sendPageState(id);
+  if (!previous.isDestroyed()) previous.destroy();
+}
+
+/** Push the playlist position to the control panel and API clients. */
+function notifyPlaylist(id, extra = {}) {
+  const data = browserWindows.get(id);
+  if (!data) return;
+  notify("playlist", {
+    id,
+    ...data.playlist.status(),
+    preloaded: !!(data.companion && data.companion.ready),
+    cueing: false,
+    ...extra,
+  });
+}
+
+/**
+ * Manual playlist control.
+ * @param {number} id
+ * @param {"next"|"prev"|"cue"} action
+ * @param {number} [index]  Item for "cue"
+ */
+function playlistControl(id, action, index) {
+  const data = browserWindows.get(id);
+  if (!data) return null;
+  if (!data.playlist.active) {
+    return { success: false, error: "The window has no playlist" };
+  }
+  if (action === "next" || action === "prev") {
+    data.playlist[action]();
+    return { success: true };
+  }
+  if (action === "cue" && data.playlist.cue(index)) return { success: true };
+  return { success: false, error: `No playlist item ${index}` };
+}
+
+// ── NDI operations ───────────────────────────────────────────────────────────
+/**
+ * Manually freeze (hold the last good frame) or unfreeze a source.
+ * @param {number} id
+ * @param {boolean} frozen
+ */
+function setFreeze(id, frozen) {
+  const data = browserWindows.get(id);
+  if (!data) return false;
+  data.ndiManager.setHold("freeze", !!frozen);
+  return true;
+}
+
+async function startNdi({
+  id,
+  ndiName,
+  fps,
+  audioEnabled,
+  audioBufferSize,
+  audioChannels,
+  audioGain,
+  audioMuted,
+  audioOffset,
+}) {
+  const data = browserWindows.get(id);
+  if (!data || data.win.isDestroyed())
+    return { success: false, error: "Window not found" };
 
-ipcMain.handle("stop-ndi", async (_ev, id) => {
+  try {
+    const name = ndiName || `Grandicast-${id}`;
+    data.ndiManager.setAudioOffset(audioOffset);
+    const output = outputSize(data.config);
+    await data.ndiManager.start(
+      name,
+      fps || 30,
+      output.width,
+      output.height,
+      !!audioEnabled,
+    );
+    data.ndiActive = true;
+    data.ndiName = name;
+    data.audioEnabled = !!audioEnabled;
+    data.audioBufferSize = audioBufferSize || 4096;
+    data.audioChannels = AUDIO_CHANNEL_LAYOUTS.includes(Number(audioChannels))
+      ? Number(audioChannels)
+      : 2;
+    data.audioGain = clampGain(audioGain);
+    data.audioMuted = !!audioMuted;
+
+    // Tell the browser window renderer to start capturing tab audio
+    if (audioEnabled && !data.win.isDestroyed()) {
+      data.win.webContents.send("start-audio-capture", audioCaptureOptions(data));
+    }
+
+    const { fps: rate, frameRateN, frameRateD } = data.ndiManager;
+    notify("ndi-started", {
+      id,
+      ndiName: name,
+      fps: rate,
+      frameRate: `${frameRateN}/${frameRateD}`,
+    });
+    sendPageState(id);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+async function stopNdi(id) {
   const data = browserWindows.get(id);
   if (!data) return false;
 
@@ -261,11 +1137,114 @@ ipcMain.handle("stop-ndi", async (_ev, id) => {
   }
 
   await data.ndiManager.stop();
+  const wasActive = data.ndiActive;
   data.ndiActive = false;
+  if (wasActive) {
+    notify("ndi-stopped", { id });
+    sendPageState(id);
+  }
   return true;
-});
+}
+
+/**
+ * Change a source's audio gain (dB), mute and/or lip-sync offset (ms) live.
+ * @param {number} id
+ * @param {{gain?: number, muted?: boolean, offset?: number}} mix
+ */
+function setAudio(id, { gain, muted, offset } = {}) {
+  const data = browserWindows.get(id);
+  if (!data || data.win.isDestroyed()) return false;
+  if (gain !== undefined) data.audioGain = clampGain(gain);
+  if (muted !== undefined) data.audioMuted = !!muted;
+  if (offset !== undefined) data.ndiManager.setAudioOffset(offset);
+  data.win.webContents.send("set-audio-gain", {
+    gain: data.audioGain,
+    muted: data.audioMuted,
+  });
+  notify("ndi-audio", {
+    id,
+    gain: data.audioGain,
+    muted: data.audioMuted,
+    offset: data.ndiManager.audioOffsetMs,
+  });
+  return true;
+}
+
+/**
+ * Send an XML metadata frame downstream on a window's NDI sender.
+ * @param {number} id
+ * @param {string} data
+ */
+function sendMetadata(id, data) {
+  const d = browserWindows.get(id);
+  if (!d) return false;
+  return d.ndiManager.sendMetadata(data);
+}
+
+function getNdiStats(id) {
+  const data = browserWindows.get(id);
+  if (!data) return null;
+  return data.ndiManager.getStats();
+}
+
+/** Thumbnail width unless the caller asks for another. */
+const PREVIEW_WIDTH = 320;
+const PREVIEW_MAX_WIDTH = 1920;
 
-ipcMain.handle("check-ndi", async () => {
+/**
+ * A downscaled copy of the frame the window's sender last sent (the held
+ * frame during a hold), for the control panel and API. The sender builds it
+ * on its own timer (see NdiManager#preview), so polling never resizes or
+ * encodes here. Transparent windows get a PNG to keep their alpha.
+ * @param {number} id
+ * @param {{width?: number|string, seq?: number|string}} [options]
+ *        `seq`: the caller's current preview; unchanged frames return no data
+ * @returns {{seq: number, url?: string, capturedAt?: number}
+ *           |{success: false, error: string}|null}
+ */
+function getPreview(id, { width, seq } = {}) {
+  const data = browserWindows.get(id);
+  if (!data) return null;
+  if (!data.ndiActive) {
+    return { success: false, error: "NDI output is not running" };
+  }
+  const w = Math.min(
+    PREVIEW_MAX_WIDTH,
+    Math.max(32, Math.round(Number(width)) || PREVIEW_WIDTH),
+  );
+  const preview = data.ndiManager.preview(w, !!data.config.transparent);
+  // The first thumbnail follows on the sender's next preview tick
+  if (!preview) return { seq: 0 };
+  if (preview.seq === Number(seq)) return { seq: preview.seq };
+  return {
+    seq: preview.seq,
+    url: preview.url,
+    capturedAt: preview.capturedAt,
+  };
+}
+
+function getIncidents(id) {
+  const data = browserWindows.get(id);
+  if (!data) return null;
+  return data.watchdog.incidents;
+}
+
+/** The window's kept log entries, oldest first. */
+function getWindowLog(id) {
+  const data = browserWindows.get(id);
+  if (!data) return null;
+  return { entries: data.log.entries, errorCount: data.log.errorCount };
+}
+
+function clearWindowLog(id) {
+  const data = browserWindows.get(id);
+  if (!data) return false;
+  data.log.clear();
+  notify("window-log", { id, entries: [], errorCount: 0, cleared: true });
+  return true;
+}
+
+function checkNdi() {
   try {
     const grandi = require("grandi");
     return {
@@ -276,18 +1255,232 @@ ipcMain.handle("check-ndi", async () => {
   } catch (e) {
     return { available: false, error: e.message };
   }
+}
+
+// ── IPC: Window management ───────────────────────────────────────────────────
+ipcMain.handle("create-window", async (_ev, config) => createWindow(config));
+
+ipcMain.handle("update-window", async (_ev, { id, config }) =>
+  updateWindow(id, config),
+);
+
+ipcMain.handle("reload-window", async (_ev, id) => reloadWindow(id));
+
+ipcMain.handle("close-window", async (_ev, id) => closeWindow(id));
+
+ipcMain.handle("get-incidents", async (_ev, id) => getIncidents(id));
+
+ipcMain.handle("get-window-log", async (_ev, id) => getWindowLog(id));
+
+ipcMain.handle("clear-window-log", async (_ev, id) => clearWindowLog(id));
+
+ipcMain.handle("clear-session", async (_ev, id) => clearSession(id));
+
+ipcMain.handle("playlist-control", async (_ev, { id, action, index }) =>
+  playlistControl(id, action, index),
+);
+
+// ── IPC: NDI ─────────────────────────────────────────────────────────────────
+ipcMain.handle("start-ndi", async (_ev, params) => startNdi(params));
+
+ipcMain.handle("stop-ndi", async (_ev, id) => stopNdi(id));
+
+ipcMain.handle("check-ndi", async () => checkNdi());
+
+ipcMain.handle("get-ndi-stats", async (_ev, id) => getNdiStats(id));
+
+ipcMain.handle("get-preview", async (_ev, { id, ...options }) =>
+  getPreview(id, options),
+);
+
+ipcMain.handle("set-freeze", async (_ev, { id, frozen }) =>
+  setFreeze(id, frozen),
+);
+
+ipcMain.handle("set-audio", async (_ev, { id, ...mix }) => setAudio(id, mix));
+
+ipcMain.handle("send-metadata", async (_ev, { id, data }) =>
+  sendMetadata(id, data),
+);
+
+// ── IPC: Captured page API (window.grandicast) ──────────────────────────────
+/** Longest status / log text accepted from a page. */
+const PAGE_MESSAGE_MAX = 500;
+const PAGE_LEVELS = new Set(["debug", "info", "warn", "error"]);
+/** Page messages are forwarded in batches, at most this often per window. */
+const PAGE_MESSAGE_FLUSH_MS = 250;
+/** Log messages forwarded per batch; the rest are counted and dropped. */
+const PAGE_LOG_BATCH_MAX = 10;
+
+/**
+ * Find the captured window whose page sent an IPC message.
+ * @param {import('electron').WebContents} sender
+ * @returns {number|null} window id
+ */
+function windowIdForSender(sender) {
+  for (const [id, data] of browserWindows) {
+    if (!data.win.isDestroyed() && data.win.webContents.id === sender.id) {
+      return id;
+    }
+  }
+  return null;
+}
+
+/** What a captured page sees as `window.grandicast` state. */
+function pageState(id) {
+  const data = browserWindows.get(id);
+  if (!data) return null;
+  const m = data.ndiManager;
+  return {
+    windowId: id,
+    ndi: {
+      active: data.ndiActive,
+      name: data.ndiActive ? data.ndiName : null,
+      ...outputSize(data.config),
+      fps: data.ndiActive ? m.fps : null,
+      frameRate: data.ndiActive ? `${m.frameRateN}/${m.frameRateD}` : null,
+    },
+    tally: m.tally,
+    frozen: m.frozen,
+  };
+}
+
+function sendPageState(id) {
+  const data = browserWindows.get(id);
+  if (!data || data.win.isDestroyed()) return;
+  data.win.webContents.send("grandicast-state", pageState(id));
+}
+
+// Initial state, read synchronously by the preload before page scripts run
+ipcMain.on("grandicast-get-state", (event) => {
+  const id = windowIdForSender(event.sender);
+  event.returnValue = id === null ? null : pageState(id);
+});
+
+ipcMain.handle("grandicast-request", async (event, { action, data } = {}) => {
+  const id = windowIdForSender(event.sender);
+  if (id === null) return false;
+  switch (action) {
+    case "reload":
+      return reloadWindow(id);
+    case "freeze":
+      return setFreeze(id, true);
+    case "unfreeze":
+      return setFreeze(id, false);
+    case "metadata":
+      return sendMetadata(id, data);
+    default:
+      return false;
+  }
+});
+
+ipcMain.on("grandicast-message", (event, { kind, level, text } = {}) => {
+  const id = windowIdForSender(event.sender);
+  if (id === null) return;
+  const message = {
+    id,
+    level: PAGE_LEVELS.has(level) ? level : "info",
+    text: String(text ?? "").slice(0, PAGE_MESSAGE_MAX),
+    time: Date.now(),
+  };
+  const data = browserWindows.get(id);
+  const queue = data.pageMessages;
+  if (kind === "status") {
+    data.pageStatus = message.text ? message : null;
+    queue.status = message; // only the latest status is sent
+  } else if (queue.logs.length < PAGE_LOG_BATCH_MAX) {
+    queue.logs.push(message);
+  } else {
+    queue.dropped++;
+  }
+  if (!queue.timer) {
+    queue.timer = setTimeout(
+      () => flushPageMessages(id),
+      PAGE_MESSAGE_FLUSH_MS,
+    );
+  }
 });
 
+/**
+ * Forward a window's queued page messages, so a page logging in a loop can't
+ * flood the control panel, API clients and headless stdout.
+ * @param {number} id
+ */
+function flushPageMessages(id) {
+  const data = browserWindows.get(id);
+  if (!data) return;
+  const queue = data.pageMessages;
+  queue.timer = null;
+  if (queue.status) notify("page-status", queue.status);
+  for (const message of queue.logs) notify("page-log", message);
+  if (queue.dropped > 0) {
+    notify("page-log", {
+      id,
+      level: "warn",
+      text: `${queue.dropped} more message(s) dropped – the page logs too fast`,
+      time: Date.now(),
+    });
+  }
+  queue.logs = [];
+  queue.dropped = 0;
+  queue.status = null;
+}
+
 // ── IPC: BroadcastChannel bridge ─────────────────────────────────────────────
+// Relayed within the sender's bridge group only, plus joined WebSocket peers
 ipcMain.on("broadcast-channel-message", (event, payload) => {
-  const senderId = event.sender.id;
+  const id = windowIdForSender(event.sender);
+  if (id !== null) channelBridge.fromWindow(id, payload);
+});
+
+// ── Shared state ─────────────────────────────────────────────────────────────
+// Every change goes to all captured pages (window.grandicast.state), the
+// control panel and remote API clients
+stateStore.on("change", (change) => {
   for (const [, data] of browserWindows) {
-    if (!data.win.isDestroyed() && data.win.webContents.id !== senderId) {
-      data.win.webContents.send("broadcast-channel-message", payload);
+    if (!data.win.isDestroyed()) {
+      data.win.webContents.send("shared-state-change", change);
     }
   }
+  notify("shared-state", change);
 });
 
+/**
+ * @param {string} key
+ * @param {unknown} value  null removes the key
+ */
+function setSharedState(key, value) {
+  try {
+    stateStore.set(key, value);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/** @param {Record<string, unknown>} values */
+function replaceSharedState(values) {
+  try {
+    stateStore.replace(values);
+    return { success: true };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+// Snapshot read synchronously by the page preload before page scripts run
+ipcMain.on("shared-state-snapshot", (event) => {
+  event.returnValue = stateStore.getAll();
+});
+
+// The change event reaches the sender before this reply, so a page that
+// awaits set() reads its own value back
+ipcMain.handle("shared-state-set", async (_ev, { key, value } = {}) =>
+  setSharedState(key, value),
+);
+
+ipcMain.handle("shared-state-get", async () => stateStore.getAll());
+
 // ── IPC: Settings persistence ────────────────────────────────────────────────
 ipcMain.handle("save-settings", async (_ev, panels) => {
   saveSettings(panels);
@@ -0,0 +1,32 @@
+"use strict";
+
+/**
+ * Shared clock for NDI video and audio timestamps.
+ *
+ * Video frames are stamped with the time they were captured in the main
+ * process, audio chunks with the time their first sample was captured in the
+ * renderer's AudioWorklet. Both processes derive wall-clock time from
+ * `performance.timeOrigin + performance.now()`, so the two land on one
+ * timeline regardless of IPC delay or audio buffer size.
+ */
+
+/** Current wall-clock time in milliseconds, with sub-millisecond precision. */
+function wallClockMs() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * NDI `timecode` (100 ns units) and `timestamp` (`[seconds, nanoseconds]`)
+ * for a wall-clock time.
+ * @param {number} [ms]  Defaults to now
+ * @returns {{timecode: bigint, timestamp: [number, number]}}
+ */
+function ndiTime(ms = wallClockMs()) {
+  const ns = BigInt(Math.round(ms * 1e6));
+  return {
+    timecode: ns / 100n,
+    timestamp: [Number(ns / 1_000_000_000n), Number(ns % 1_000_000_000n)],
+  };
+}
+
+module.exports = { wallClockMs, ndiTime };
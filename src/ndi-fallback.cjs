@@ -0,0 +1,94 @@
+"use strict";
+
+const { nativeImage } = require("electron");
+
+const MODES = ["hold", "slate", "transparent", "none"];
+
+/**
+ * @typedef {object} FallbackConfig
+ * @property {"hold"|"slate"|"transparent"|"none"} [mode]
+ *           What to output while the page is unavailable:
+ *           - "hold"        last good frame (slate colour until there is one)
+ *           - "slate"       `slateImage` if set, otherwise `slateColor`
+ *           - "transparent" fully transparent frame, for keyers
+ *           - "none"        keep capturing whatever the page shows
+ * @property {string} [slateColor]  "#rrggbb" or "#rrggbbaa"
+ * @property {string} [slateImage]  Path to a PNG/JPEG
+ */
+
+/**
+ * Generates the BGRA frames sent while a source is held (navigating, failed,
+ * or manually frozen). Frames are cached per output size.
+ */
+class FallbackFrames {
+  /** @param {FallbackConfig} [config] */
+  constructor(config) {
+    this.configure(config);
+  }
+
+  /** @param {FallbackConfig} [config] */
+  configure(config = {}) {
+    this.mode = MODES.includes(config.mode) ? config.mode : "hold";
+    this.slateColor = config.slateColor || "#000000";
+    this.slateImage = config.slateImage || "";
+    this._cache = null;
+  }
+
+  toJSON() {
+    return {
+      mode: this.mode,
+      slateColor: this.slateColor,
+      slateImage: this.slateImage,
+    };
+  }
+
+  /**
+   * The generated fallback frame at the given size, or null in "none" mode.
+   * ("hold" callers use this only when no good frame exists yet.)
+   * @param {number} width
+   * @param {number} height
+   * @returns {Buffer|null}
+   */
+  frame(width, height) {
+    if (this.mode === "none") return null;
+    const key = `${this.mode}:${width}x${height}`;
+    if (this._cache && this._cache.key === key) return this._cache.buf;
+
+    let buf = null;
+    if (this.mode === "transparent") {
+      buf = Buffer.alloc(width * height * 4);
+    } else if (this.mode === "slate" && this.slateImage) {
+      buf = this._imageFrame(width, height);
+    }
+    if (!buf) buf = solidFrame(width, height, this.slateColor);
+
+    this._cache = { key, buf };
+    return buf;
+  }
+
+  /** @private */
+  _imageFrame(width, height) {
+    const image = nativeImage.createFromPath(this.slateImage);
+    if (image.isEmpty()) {
+      console.error(`[Fallback] Slate image not found: ${this.slateImage}`);
+      return null;
+    }
+    return image.resize({ width, height }).toBitmap();
+  }
+}
+
+/**
+ * Fill a BGRA frame with a single colour.
+ * @param {number} width
+ * @param {number} height
+ * @param {string} color  "#rrggbb" or "#rrggbbaa"
+ */
+function solidFrame(width, height, color) {
+  const m = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(color || "");
+  const rgb = m ? parseInt(m[1], 16) : 0;
+  const a = m && m[2] ? parseInt(m[2], 16) : 0xff;
+  const pixel = Buffer.from([rgb & 0xff, (rgb >> 8) & 0xff, rgb >> 16, a]);
+  return Buffer.alloc(width * height * 4, pixel);
+}
+
+module.exports = FallbackFrames;
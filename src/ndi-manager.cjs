@@ -1,5 +1,18 @@
 "use strict";
 
+const { EventEmitter } = require("events");
+const { nativeImage } = require("electron");
+const NdiStats = require("./ndi-stats.cjs");
+const NdiRegionOutput = require("./ndi-region-output.cjs");
+const FallbackFrames = require("./ndi-fallback.cjs");
+const { wallClockMs, ndiTime } = require("./ndi-clock.cjs");
+const { FrameConverter } = require("./video-format.cjs");
+const {
+  parseFrameRate,
+  formatFrameRate,
+  FrameTimeline,
+} = require("./frame-rate.cjs");
+
 let grandi;
 try {
   grandi = require("grandi");
@@ -8,40 +21,226 @@ try {
   grandi = null;
 }
 
+const TALLY_POLL_MS = 250;
+/** Audio chunks queued before the oldest is dropped (plus any lip-sync delay). */
+const AUDIO_QUEUE_MAX = 8;
+/** Lip-sync offset range in milliseconds. */
+const AUDIO_OFFSET_LIMIT_MS = 1000;
+/** Largest metadata frame accepted for sending. */
+const METADATA_MAX_BYTES = 64 * 1024;
+/** In adaptive mode, a page unchanged this long counts as static. */
+const ADAPTIVE_IDLE_MS = 1000;
+/** In adaptive mode, the paint rate of a static offscreen page. */
+const ADAPTIVE_IDLE_FPS = 5;
+/** How often requested preview thumbnails are rebuilt. */
+const PREVIEW_INTERVAL_MS = 250;
+/** A preview width nobody asked for in this long is no longer built. */
+const PREVIEW_IDLE_MS = 2000;
+/** Pixels sampled per frame to tell a static page from a moving one. */
+const SIGNATURE_SAMPLES = 4096;
+let nextPreviewSeq = 1;
+
 /**
  * Manages an NDI sender for a single Electron BrowserWindow.
  *
- * Captures frames via webContents.capturePage(), converts to raw BGRA bitmap,
- * and pushes them through a grandi sender at the configured FPS.
+ * Two capture modes are supported:
+ *  - "capture"   – polls webContents.capturePage() on a timer, converts to raw
+ *                  BGRA bitmap and pushes it through a grandi sender.
+ *  - "offscreen" – the window is rendered offscreen; every `paint` event is
+ *                  pushed to the sender as Chromium produces it, and the last
+ *                  frame is repeated while the page is idle.
+ *
+ * Unchanged frames re-send the cached output frame without a resize or
+ * format conversion: offscreen paints with an empty dirty rect are ignored.
+ * In adaptive mode a static page is also read back only when Chromium
+ * presents a new frame (capture) or painted at a lower rate (offscreen); the
+ * sender keeps its advertised frame rate either way.
+ *
+ * Emits:
+ *  - "tally" `{onProgram, onPreview, connections}` whenever the receivers'
+ *    tally state or the number of connected receivers changes.
+ *  - "hold" `{holding, reasons}` when the output switches to or from its
+ *    fallback (see `setHold()`).
+ *
+ * Performance counters (output FPS, capture/resize/send time, late and reused
+ * frames, audio chunks sent/dropped) are available through `getStats()`.
+ *
+ * Optional crop regions publish further NDI sources from the same capture
+ * (see NdiRegionOutput); they start and stop together with this sender.
  */
-class NdiManager {
+class NdiManager extends EventEmitter {
   /**
    * @param {number} windowId
    * @param {import('electron').BrowserWindow} browserWindow
+   * @param {object} [options]
+   * @param {"capture"|"offscreen"} [options.captureMode]
+   * @param {import('./ndi-region-output.cjs').CropRegion[]} [options.regions]
+   * @param {import('./ndi-fallback.cjs').FallbackConfig} [options.fallback]
+   * @param {import('./video-format.cjs').VideoFormat} [options.videoFormat]
+   * @param {boolean} [options.adaptive]  Lower the paint rate while static
    */
-  constructor(windowId, browserWindow) {
+  constructor(windowId, browserWindow, options = {}) {
+    super();
     this.windowId = windowId;
     this.browserWindow = browserWindow;
+    this.captureMode =
+      options.captureMode === "offscreen" ? "offscreen" : "capture";
     this.sender = null;
+    this.ndiName = null;
     this.running = false;
     this._timeout = null;
+    // Output frame rate as an exact rational; `fps` is the derived float
+    this.frameRateN = 30;
+    this.frameRateD = 1;
     this.fps = 30;
+    this._timeline = new FrameTimeline({ n: 30, d: 1 });
+    // Output resolution; captures of another size are scaled to it
     this.width = 1280;
     this.height = 720;
+    /** Page zoom factor: window pixels per layout (CSS) pixel. */
+    this.zoom = 1;
+    // Frames are captured as BGRA and converted on send (UYVY/UYVA)
+    this._converter = new FrameConverter();
+    this._converter.setFormat(options.videoFormat || "bgra");
     this.audioEnabled = false;
     this._audioSampleRate = 48000;
+    // Channel layout of the last chunk (the renderer picks mono/stereo/5.1)
     this._audioChannels = 2;
     this._audioLogDone = false;
     this._audioDraining = false;
+    /** Lip-sync offset: positive delays audio, negative advances it. */
+    this.audioOffsetMs = 0;
 
-    /** @type {Array<{data: Buffer, noSamples: number}>} */
+    /**
+     * @type {Array<{data: Buffer, noSamples: number, noChannels: number,
+     *               capturedAt: number}>}
+     */
     this._audioQueue = [];
+
+    /**
+     * Most recent good BGRA frame at the output size (captured or painted
+     * outside a hold); repeated on idle offscreen pages and held on freeze.
+     * @type {Buffer|null}
+     */
+    this._lastFrame = null;
+
+    // Unchanged-frame detection
+    /** Lower the internal capture rate while the page is static. */
+    this.adaptive = !!options.adaptive;
+    /** Last frame handed to the sender, to count re-sent frames. */
+    this._sentFrame = null;
+    /** performance.now() of the last capture that differed. */
+    this._changedAt = 0;
+    /** Sampled signature of the last capture (see frameSignature). */
+    this._frameSig = 0;
+    // While static, a frame subscription flags Chromium presenting a frame
+    this._watchingPresent = false;
+    this._presented = false;
+    // Offscreen frame rate lowered while static
+    this._throttled = false;
+
+    // Offscreen mode state
+    this._onPaint = null;
+    this._lastFrameAt = 0;
+    /** Wall-clock capture time of a painted frame not yet sent, else 0. */
+    this._paintedAt = 0;
+    this._lastSendAt = 0;
+    this._sending = false;
+    this._framePending = false;
+    this._paintResizeMs = 0;
+
+    /**
+     * Most recent full-page capture, shared with crop-region outputs so every
+     * output on this window is fed from a single readback.
+     * @type {import('electron').NativeImage|null}
+     */
+    this.latestImage = null;
+    /** Wall-clock capture time of `latestImage`. */
+    this.latestImageAt = 0;
+
+    /**
+     * Preview thumbnails for the control panel and API by image type (see
+     * preview()), with the requested widths → performance.now() of the last
+     * request for each.
+     * @type {Map<"png"|"jpeg", {widths: Map<number, number>,
+     *   source: import('electron').NativeImage|null,
+     *   preview: {seq: number, url: string, width: number,
+     *             capturedAt: number}|null}>}
+     */
+    this._previews = new Map();
+    this._previewTimer = null;
+
+    /** @type {import('./ndi-region-output.cjs').CropRegion[]} */
+    this.regions = sanitizeRegions(options.regions);
+    /** @type {NdiRegionOutput[]} */
+    this.regionOutputs = [];
+    /** Tail of the queued region restarts (see setRegions). */
+    this._regionsUpdate = Promise.resolve();
+
+    // Fallback output while the page is unavailable or frozen
+    this.fallback = new FallbackFrames(options.fallback);
+    /** @type {Set<"navigation"|"error"|"freeze">} */
+    this._holdReasons = new Set();
+    this._heldBitmap = null;
+
+    this.stats = new NdiStats();
+    this._statsTimer = null;
+
+    this._tallyTimer = null;
+    /** Last tally state reported by the receivers */
+    this.tally = { onProgram: false, onPreview: false, connections: 0 };
+  }
+
+  /**
+   * Capture from another window from now on (a playlist cutting to a
+   * preloaded page). The sender, regions and stats carry on uninterrupted.
+   * @param {import('electron').BrowserWindow} browserWindow
+   */
+  setWindow(browserWindow) {
+    const previous = this.browserWindow;
+    this._watchPresent(false);
+    this.browserWindow = browserWindow;
+    // A cut is a change; read the new page back on the next tick
+    this._changedAt = performance.now();
+    this._presented = true;
+    if (this._onPaint) {
+      if (!previous.isDestroyed()) {
+        previous.webContents.off("paint", this._onPaint);
+      }
+      this._subscribePaint();
+    }
+  }
+
+  /**
+   * Turn adaptive capture on or off; applies from the next frame.
+   * @param {boolean} adaptive
+   */
+  setAdaptive(adaptive) {
+    this.adaptive = !!adaptive;
+    if (this.adaptive) return;
+    this._watchPresent(false);
+    this._throttle(false);
+  }
+
+  /** @returns {import('./video-format.cjs').VideoFormat} */
+  get videoFormat() {
+    return this._converter.format;
+  }
+
+  /**
+   * Switch the sent video format; applies from the next frame. Crop regions
+   * follow.
+   * @param {import('./video-format.cjs').VideoFormat} format
+   */
+  setVideoFormat(format) {
+    this._converter.setFormat(format);
   }
 
   /**
    * Start capturing and sending NDI frames.
    * @param {string} ndiName  NDI source name visible on the network
-   * @param {number} fps      Target frames per second
+   * @param {number|string|{n: number, d: number}} fps
+   *        Target frame rate – 30, 29.97, "30000/1001" or { n, d }
    * @param {number} width    Output width in pixels
    * @param {number} height   Output height in pixels
    * @param {boolean} audioEnabled  Whether to send audio frames
@@ -50,11 +249,15 @@ class NdiManager {
     if (!grandi) throw new Error("grandi native module is not available");
     if (this.running) await this.stop();
 
-    this.fps = fps || 30;
+    const rate = parseFrameRate(fps);
+    this.frameRateN = rate.n;
+    this.frameRateD = rate.d;
+    this.fps = rate.n / rate.d;
     this.width = width || 1280;
     this.height = height || 720;
     this.audioEnabled = !!audioEnabled;
 
+    this.ndiName = ndiName;
     this.sender = await grandi.send({
       name: ndiName,
       clockVideo: true,
@@ -62,12 +265,225 @@ class NdiManager {
     });
 
     this._audioQueue = [];
+    this.stats.reset();
+    this._changedAt = performance.now();
+
+    this._timeline = new FrameTimeline(rate);
 
     this.running = true;
     console.log(
-      `[NdiManager] Started sender "${ndiName}" – ${this.width}×${this.height} @ ${this.fps} fps (audio: ${this.audioEnabled})`,
+      `[NdiManager] Started sender "${ndiName}" – ${this.width}×${this.height} @ ` +
+        `${formatFrameRate(rate)} fps (${rate.n}/${rate.d}) ` +
+        `(mode: ${this.captureMode}${this.adaptive ? ", adaptive" : ""}, ` +
+        `format: ${this.videoFormat}, audio: ${this.audioEnabled})`,
     );
-    this._loop();
+    if (this.captureMode === "offscreen") {
+      this._startOffscreen();
+    } else {
+      this._loop();
+    }
+    this._tallyTimer = setInterval(() => this._pollTally(), TALLY_POLL_MS);
+    this._statsTimer = setInterval(() => this.stats.tick(), 1000);
+    const started = this._regionsUpdate.then(() => this._startRegions());
+    this._regionsUpdate = started.catch(() => {});
+    await started;
+  }
+
+  /**
+   * Replace the crop regions. While running, region senders are restarted.
+   * Restarts are queued, so quick successive updates never leave two senders
+   * with the same NDI name.
+   * @param {import('./ndi-region-output.cjs').CropRegion[]} regions
+   */
+  setRegions(regions) {
+    this.regions = sanitizeRegions(regions);
+    const update = this._regionsUpdate.then(async () => {
+      if (!this.running) return;
+      await this._stopRegions();
+      await this._startRegions();
+    });
+    this._regionsUpdate = update.catch(() => {});
+    return update;
+  }
+
+  /** @private */
+  async _startRegions() {
+    for (const [i, region] of this.regions.entries()) {
+      const output = new NdiRegionOutput(this, {
+        ...region,
+        name: region.name || `${this.ndiName} (${i + 1})`,
+      });
+      try {
+        await output.start();
+        if (!this.running) {
+          await output.stop();
+          return;
+        }
+        this.regionOutputs.push(output);
+      } catch (err) {
+        console.error(
+          `[NdiManager] Region "${output.region.name}" failed to start:`,
+          err.message,
+        );
+      }
+    }
+  }
+
+  /** @private */
+  async _stopRegions() {
+    const outputs = this.regionOutputs;
+    this.regionOutputs = [];
+    await Promise.allSettled(outputs.map((o) => o.stop()));
+  }
+
+  /** Current performance counters for this sender. */
+  getStats() {
+    return this.stats.snapshot({
+      running: this.running,
+      captureMode: this.captureMode,
+      adaptive: this.adaptive,
+      targetFps: Math.round(this.fps * 1000) / 1000,
+      frameRate: `${this.frameRateN}/${this.frameRateD}`,
+      audioQueue: this._audioQueue.length,
+      audioChannels: this._audioChannels,
+      audioOffsetMs: this.audioOffsetMs,
+      regions: this.regionOutputs.map((o) => o.getStats()),
+    });
+  }
+
+  /**
+   * Switch the output to its fallback for a reason, or release it.
+   *
+   * "navigation" and "error" apply the configured fallback mode; "freeze"
+   * always holds the last good frame (falling back to the slate if none).
+   * @param {"navigation"|"error"|"freeze"} reason
+   * @param {boolean} on
+   */
+  setHold(reason, on) {
+    const had = this._holdReasons.has(reason);
+    if (had === !!on) return;
+    const wasHolding = this.holding;
+    if (on) this._holdReasons.add(reason);
+    else this._holdReasons.delete(reason);
+
+    if (this.holding !== wasHolding) {
+      if (!this.holding) {
+        this._heldBitmap = null;
+        if (this.captureMode === "offscreen" && this.running) {
+          // Paints were ignored while holding – ask for a fresh one
+          this.browserWindow.webContents.invalidate();
+        }
+      }
+      this.emit("hold", {
+        holding: this.holding,
+        reasons: [...this._holdReasons],
+      });
+    }
+  }
+
+  /** @param {import('./ndi-fallback.cjs').FallbackConfig} config */
+  setFallback(config) {
+    this.fallback.configure(config);
+  }
+
+  /** Whether the output is currently replaced by its fallback. */
+  get holding() {
+    if (this._holdReasons.has("freeze")) return true;
+    return this._holdReasons.size > 0 && this.fallback.mode !== "none";
+  }
+
+  /** Whether the source was manually frozen. */
+  get frozen() {
+    return this._holdReasons.has("freeze");
+  }
+
+  /**
+   * The frame to send while holding, or null to keep capturing.
+   * @private
+   * @returns {Buffer|null}
+   */
+  _heldFrame() {
+    const size = this.width * this.height * 4;
+    const last = this._lastFrame && this._lastFrame.length === size;
+    const useLast =
+      this._holdReasons.has("freeze") || this.fallback.mode === "hold";
+    const bitmap =
+      useLast && last
+        ? this._lastFrame
+        : this.fallback.frame(this.width, this.height);
+
+    // Crop regions read latestImage, so give them the held frame as well
+    if (bitmap && bitmap !== this._heldBitmap) {
+      this._heldBitmap = bitmap;
+      if (bitmap !== this._lastFrame) {
+        this.latestImage = nativeImage.createFromBitmap(bitmap, {
+          width: this.width,
+          height: this.height,
+        });
+        this.latestImageAt = wallClockMs();
+      }
+    }
+    return bitmap;
+  }
+
+  /**
+   * Send an XML metadata frame to every connected receiver.
+   * @param {string} xml
+   * @returns {{success: boolean, error?: string}}
+   */
+  sendMetadata(xml) {
+    if (!this.running || !this.sender) {
+      return { success: false, error: "NDI is not running" };
+    }
+    const data = String(xml ?? "").trim();
+    if (!data.startsWith("<")) {
+      return { success: false, error: "Metadata must be an XML element" };
+    }
+    if (Buffer.byteLength(data) > METADATA_MAX_BYTES) {
+      return { success: false, error: "Metadata frame too large" };
+    }
+    if (!this.sender.metadata(data)) {
+      return { success: false, error: "Sender rejected the metadata frame" };
+    }
+    this.stats.metadataSent++;
+    return { success: true };
+  }
+
+  /**
+   * Read tally and connection count from the sender and emit "tally" if
+   * either changed.
+   * @private
+   */
+  _pollTally() {
+    if (!this.running || !this.sender) return;
+    try {
+      const t = this.sender.tally();
+      const connections = this.sender.connections();
+      this._setTally({
+        onProgram: !!t.on_program,
+        onPreview: !!t.on_preview,
+        connections,
+      });
+    } catch (err) {
+      console.error(
+        `[NdiManager] Tally poll error (window ${this.windowId}):`,
+        err.message,
+      );
+    }
+  }
+
+  /** @private */
+  _setTally(next) {
+    const prev = this.tally;
+    if (
+      prev.onProgram === next.onProgram &&
+      prev.onPreview === next.onPreview &&
+      prev.connections === next.connections
+    ) {
+      return;
+    }
+    this.tally = next;
+    this.emit("tally", next);
   }
 
   /** @private */
@@ -80,40 +496,43 @@ class NdiManager {
 
     const t0 = performance.now();
 
-    const ns = process.hrtime.bigint();
-    const timecode = ns / 100n;
-    const timestamp = [
-      Number(ns / 1_000_000_000n),
-      Number(ns % 1_000_000_000n),
-    ];
+    const interval = 1000 / this.fps;
 
     // ── Video frame ──────────────────────────────────────────────────────
     try {
-      const image = await this.browserWindow.webContents.capturePage();
-      const size = image.getSize();
-
-      let bitmap;
-      if (size.width !== this.width || size.height !== this.height) {
-        bitmap = image
-          .resize({ width: this.width, height: this.height })
-          .toBitmap();
-      } else {
-        bitmap = image.toBitmap();
-      }
-
-      await this.sender.video({
-        xres: this.width,
-        yres: this.height,
-        frameRateN: this.fps,
-        frameRateD: 1,
-        pictureAspectRatio: this.width / this.height,
-        frameFormatType: grandi.FrameType.Progressive,
-        lineStrideBytes: this.width * 4,
-        fourCC: grandi.FourCC.BGRA,
-        data: bitmap,
-        timecode,
-        timestamp,
-      });
+      const held = this.holding ? this._heldFrame() : null;
+      let bitmap = held;
+      const capturedAt = wallClockMs();
+      let t1 = t0;
+      if (!held && this._shouldRead()) {
+        this._presented = false;
+        const image = await this.browserWindow.webContents.capturePage();
+        this.latestImage = image;
+        this.latestImageAt = capturedAt;
+        t1 = performance.now();
+        bitmap = this._toBitmap(image);
+        this._lastFrame = bitmap;
+        if (this.adaptive) {
+          const sig = frameSignature(bitmap);
+          if (sig !== this._frameSig) this._changedAt = t1;
+          this._frameSig = sig;
+        }
+      } else if (!held) {
+        bitmap = this._lastFrame;
+      }
+      const reused = bitmap === this._sentFrame;
+      const t2 = performance.now();
+      const sent = await this._sendVideo(bitmap, capturedAt);
+      const t3 = performance.now();
+      if (sent) {
+        this.stats.frame({
+          captureMs: t1 - t0,
+          resizeMs: t2 - t1,
+          sendMs: t3 - t2,
+          late: t3 - t0 > interval,
+          reused,
+        });
+      }
     } catch (err) {
       if (this.running) {
         console.error(
@@ -127,28 +546,378 @@ class NdiManager {
 
     if (!this.running) return;
 
-    const elapsed = performance.now() - t0;
+    this._timeout = setTimeout(() => this._loop(), this._nextFrameDelay());
+  }
+
+  /**
+   * Advance the frame timeline. Missed slots are skipped without counting:
+   * the overrun that caused them already flagged its frame late.
+   * @private
+   * @returns {number} milliseconds until the next frame is due
+   */
+  _nextFrameDelay() {
+    return this._timeline.next().delay;
+  }
+
+  /**
+   * Whether this tick reads the page back (capture mode). Outside adaptive
+   * mode, always. In adaptive mode a page whose captures stopped changing is
+   * only read back after Chromium presents a new frame.
+   * @private
+   */
+  _shouldRead() {
+    if (
+      !this.adaptive ||
+      !this._lastFrame ||
+      this._lastFrame.length !== this.width * this.height * 4
+    ) {
+      this._watchPresent(false);
+      return true;
+    }
+    const moving = performance.now() - this._changedAt < ADAPTIVE_IDLE_MS;
+    this._watchPresent(!moving);
+    return moving || this._presented;
+  }
+
+  /**
+   * Watch for presented frames. Only done while the page is static: each
+   * notification copies the dirty area, which an animating page would pay
+   * for on every frame, and the subscriber is capped at about 30 fps.
+   * Subscribing reads the page once more, in case a frame was presented
+   * since the last readback.
+   * @private
+   * @param {boolean} on
+   */
+  _watchPresent(on) {
+    if (on === this._watchingPresent) return;
+    this._watchingPresent = on;
+    this._presented = on;
+    if (this.browserWindow.isDestroyed()) return;
+    const wc = this.browserWindow.webContents;
+    if (on) {
+      wc.beginFrameSubscription(true, () => {
+        this._presented = true;
+      });
+    } else {
+      wc.endFrameSubscription();
+    }
+  }
+
+  /**
+   * Lower the offscreen paint rate while static, or restore it.
+   * @private
+   * @param {boolean} on
+   */
+  _throttle(on) {
+    if (on === this._throttled) return;
+    this._throttled = on;
+    if (this.browserWindow.isDestroyed()) return;
+    this.browserWindow.webContents.setFrameRate(
+      on ? ADAPTIVE_IDLE_FPS : this._paintRate(),
+    );
+  }
+
+  /** @private Chromium paint rate for the output frame rate. */
+  _paintRate() {
+    return Math.min(240, Math.max(1, Math.ceil(this.fps)));
+  }
+
+  /**
+   * Subscribe to offscreen `paint` events and start the idle-repeat timer.
+   * @private
+   */
+  _startOffscreen() {
+    this._onPaint = (_ev, dirty, image) => {
+      if (!this.running || this.holding) return;
+      // Nothing was redrawn; the idle loop keeps repeating the cached frame
+      if (
+        this._lastFrame &&
+        this._lastFrame.length === this.width * this.height * 4 &&
+        (!dirty || dirty.width === 0 || dirty.height === 0)
+      ) {
+        return;
+      }
+      const t0 = performance.now();
+      this._paintedAt = wallClockMs();
+      this.latestImage = image;
+      this.latestImageAt = this._paintedAt;
+      this._lastFrame = this._toBitmap(image);
+      this._changedAt = performance.now();
+      this._throttle(false);
+      this._lastFrameAt = performance.now();
+      this._paintResizeMs = this._lastFrameAt - t0;
+      this._pushLastFrame();
+    };
+    this._subscribePaint();
+    this._idleLoop();
+  }
+
+  /** @private */
+  _subscribePaint() {
+    const wc = this.browserWindow.webContents;
+    this._throttled = false;
+    wc.setFrameRate(this._paintRate());
+    wc.on("paint", this._onPaint);
+    if (!wc.isPainting()) wc.startPainting();
+    // Force a full paint so the first frame doesn't wait for page activity
+    wc.invalidate();
+  }
+
+  /**
+   * Repeat the last painted frame whenever Chromium hasn't produced a new one
+   * within a frame interval (static page).
+   * @private
+   */
+  _idleLoop() {
+    if (!this.running) return;
+    if (this.browserWindow.isDestroyed()) {
+      this.stop();
+      return;
+    }
+
+    // Small tolerance so timer jitter doesn't skip a repeat on an idle page
     const interval = 1000 / this.fps;
-    const delay = Math.max(1, interval - elapsed);
-    this._timeout = setTimeout(() => this._loop(), delay);
+    const now = performance.now();
+    if (now - this._lastSendAt >= interval * 0.9) {
+      this._pushLastFrame();
+    }
+    if (this.adaptive && now - this._changedAt >= ADAPTIVE_IDLE_MS) {
+      this._throttle(true);
+    }
+    this._timeout = setTimeout(() => this._idleLoop(), this._nextFrameDelay());
+  }
+
+  /**
+   * Send the most recent offscreen frame. If a send is already in flight the
+   * frame is marked pending and sent as soon as the current one completes.
+   * @private
+   */
+  async _pushLastFrame() {
+    if (!this._lastFrame && !this.holding) return;
+    if (this._sending) {
+      this._framePending = true;
+      return;
+    }
+    this._sending = true;
+    try {
+      do {
+        this._framePending = false;
+        const t0 = performance.now();
+        this._lastSendAt = t0;
+        const held = this.holding && this._heldFrame();
+        const frame = held || this._lastFrame;
+        // A fresh paint keeps its paint time; repeats are stamped now
+        const paintedAt = !held && this._paintedAt;
+        const capturedAt = paintedAt || wallClockMs();
+        this._paintedAt = 0;
+        // Late: the paint waited more than a frame to go out. The send
+        // itself blocks on the clock, so its duration says nothing
+        const late = !!paintedAt && wallClockMs() - paintedAt > 1000 / this.fps;
+        const reused = frame === this._sentFrame;
+        const sent = frame ? await this._sendVideo(frame, capturedAt) : false;
+        const sendMs = performance.now() - t0;
+        if (sent) {
+          this.stats.frame({
+            resizeMs: this._paintResizeMs,
+            sendMs,
+            late,
+            reused,
+          });
+          this._paintResizeMs = 0;
+        }
+      } while (this._framePending && this.running);
+    } catch (err) {
+      if (this.running) {
+        console.error(
+          `[NdiManager] Video send error (window ${this.windowId}):`,
+          err.message,
+        );
+      }
+    } finally {
+      this._sending = false;
+    }
+  }
+
+  /**
+   * The latest preview thumbnail of the sent frame, and a request to keep
+   * building one `width` pixels wide. Thumbnails are made on their own timer
+   * (see `_updatePreviews()`), never by callers or the capture loop.
+   * @param {number} width
+   * @param {boolean} alpha  PNG to keep transparency, otherwise JPEG
+   * @returns {{seq: number, url: string, width: number,
+   *            capturedAt: number}|null}
+   */
+  preview(width, alpha) {
+    if (!this.running) return null;
+    const type = alpha ? "png" : "jpeg";
+    let entry = this._previews.get(type);
+    if (!entry) {
+      entry = { widths: new Map(), source: null, preview: null };
+      this._previews.set(type, entry);
+    }
+    entry.widths.set(width, performance.now());
+    if (!this._previewTimer) {
+      this._previewTimer = setInterval(
+        () => this._updatePreviews(),
+        PREVIEW_INTERVAL_MS,
+      );
+    }
+    return entry.preview;
+  }
+
+  /**
+   * Rebuild each requested thumbnail from the latest image once the frame
+   * changed, at the largest width asked for in the last PREVIEW_IDLE_MS. The
+   * timer stops once nobody asks any more.
+   * @private
+   */
+  _updatePreviews() {
+    const now = performance.now();
+    const image = this.latestImage;
+    for (const [type, entry] of this._previews) {
+      let width = 0;
+      for (const [w, at] of entry.widths) {
+        if (now - at > PREVIEW_IDLE_MS) entry.widths.delete(w);
+        else width = Math.max(width, w);
+      }
+      if (!width) {
+        this._previews.delete(type);
+        continue;
+      }
+      if (!image || image.isEmpty()) continue;
+      const current = entry.preview;
+      if (current && current.width === width && entry.source === image) {
+        continue;
+      }
+      try {
+        const thumb = image.resize({
+          width: Math.min(width, image.getSize().width),
+          quality: "good",
+        });
+        const url =
+          type === "png"
+            ? thumb.toDataURL()
+            : `data:image/jpeg;base64,${thumb.toJPEG(80).toString("base64")}`;
+        entry.source = image;
+        entry.preview = {
+          seq: nextPreviewSeq++,
+          url,
+          width,
+          capturedAt: this.latestImageAt,
+        };
+      } catch (err) {
+        console.error(
+          `[NdiManager] Preview error (window ${this.windowId}):`,
+          err.message,
+        );
+      }
+    }
+    if (this._previews.size === 0) this._stopPreviews();
+  }
+
+  /** @private */
+  _stopPreviews() {
+    if (this._previewTimer) {
+      clearInterval(this._previewTimer);
+      this._previewTimer = null;
+    }
+    this._previews.clear();
+  }
+
+  /**
+   * Convert a changed capture to a BGRA bitmap at the output resolution.
+   * @private
+   * @param {import('electron').NativeImage} image
+   * @returns {Buffer}
+   */
+  _toBitmap(image) {
+    const size = image.getSize();
+    if (size.width !== this.width || size.height !== this.height) {
+      return image.resize({ width: this.width, height: this.height }).toBitmap();
+    }
+    return image.toBitmap();
+  }
+
+  /**
+   * Send a single BGRA frame through the NDI sender, converted to the
+   * configured video format.
+   * @private
+   * @param {Buffer} bitmap
+   * @param {number} [capturedAt]  Wall-clock capture time (ms), default now
+   * @returns {Promise<boolean>} false if the frame was skipped
+   */
+  async _sendVideo(bitmap, capturedAt) {
+    if (!this.sender) return false;
+
+    // A live resize may leave a frame of the previous size in flight
+    if (bitmap.length !== this.width * this.height * 4) return false;
+
+    const { timecode, timestamp } = ndiTime(capturedAt);
+    const frame = this._converter.convert(bitmap, this.width, this.height);
+
+    await this.sender.video({
+      xres: this.width,
+      yres: this.height,
+      frameRateN: this.frameRateN,
+      frameRateD: this.frameRateD,
+      pictureAspectRatio: this.width / this.height,
+      frameFormatType: grandi.FrameType.Progressive,
+      lineStrideBytes: frame.lineStrideBytes,
+      fourCC: grandi.FourCC[frame.fourCC],
+      data: frame.data,
+      timecode,
+      timestamp,
+    });
+    this._sentFrame = bitmap;
+    return true;
+  }
+
+  /**
+   * Set the lip-sync offset. Positive values delay audio: chunks are held
+   * back and stamped later. Negative values advance it: audio can't be sent
+   * before it was captured, so only the timestamps move earlier, which
+   * receivers that sync on timestamps honour.
+   * @param {number} ms
+   */
+  setAudioOffset(ms) {
+    const v = Number(ms) || 0;
+    this.audioOffsetMs = Math.min(
+      AUDIO_OFFSET_LIMIT_MS,
+      Math.max(-AUDIO_OFFSET_LIMIT_MS, v),
+    );
   }
 
   /**
    * Queue a real audio buffer captured from the renderer for sending.
    * Sends are serialised so they never overlap on the native sender.
-   * @param {Buffer} planarBuf  Float32 planar PCM (ch0 then ch1)
+   * @param {Buffer} planarBuf  Float32 planar PCM, one plane per channel
    * @param {number} noSamples  Number of samples per channel
+   * @param {number} [noChannels]  1 (mono), 2 (stereo) or 6 (5.1)
+   * @param {number} [capturedAt]  Wall-clock time (ms) of the first sample
    */
-  pushAudio(planarBuf, noSamples) {
+  pushAudio(planarBuf, noSamples, noChannels = 2, capturedAt = wallClockMs()) {
     if (!this.running || !this.audioEnabled || !this.sender) return;
+    if (planarBuf.length !== noSamples * noChannels * 4) return;
+    // Comes from the renderer over IPC; a bad value must not break timestamps
+    if (!Number.isFinite(capturedAt)) capturedAt = wallClockMs();
 
     // Back-pressure: if the NDI sender can't keep up, drop the oldest chunk
-    // to prevent unbounded memory growth and accumulating latency.
-    if (this._audioQueue.length >= 8) {
+    // to prevent unbounded memory growth and accumulating latency. A lip-sync
+    // delay legitimately keeps more chunks queued.
+    const chunkMs = (noSamples / this._audioSampleRate) * 1000;
+    const limit =
+      AUDIO_QUEUE_MAX + Math.ceil(Math.max(0, this.audioOffsetMs) / chunkMs);
+    if (this._audioQueue.length >= limit) {
       this._audioQueue.shift();
+      this.stats.audioDropped++;
     }
 
-    this._audioQueue.push({ data: planarBuf, noSamples });
+    this._audioQueue.push({
+      data: planarBuf,
+      noSamples,
+      noChannels,
+      capturedAt,
+    });
     if (!this._audioDraining) this._drainAudioQueue();
   }
 
@@ -156,19 +925,27 @@ class NdiManager {
   async _drainAudioQueue() {
     this._audioDraining = true;
     while (this._audioQueue.length > 0 && this.running && this.sender) {
-      const { data, noSamples } = this._audioQueue.shift();
+      const { data, noSamples, noChannels, capturedAt } =
+        this._audioQueue.shift();
 
-      const ns = process.hrtime.bigint();
-      const timecode = ns / 100n;
-      const timestamp = [
-        Number(ns / 1_000_000_000n),
-        Number(ns % 1_000_000_000n),
-      ];
+      // Hold the chunk back for a positive lip-sync delay, so receivers that
+      // ignore timestamps line up too
+      const wait = Math.min(
+        AUDIO_OFFSET_LIMIT_MS,
+        capturedAt + Math.max(0, this.audioOffsetMs) - wallClockMs(),
+      );
+      if (wait > 1) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+        if (!this.running || !this.sender) break;
+      }
 
       try {
+        const { timecode, timestamp } = ndiTime(
+          capturedAt + this.audioOffsetMs,
+        );
         await this.sender.audio({
           sampleRate: this._audioSampleRate,
-          noChannels: this._audioChannels,
+          noChannels,
           noSamples,
           channelStrideBytes: noSamples * 4,
           data,
@@ -176,6 +953,8 @@ class NdiManager {
           timecode,
           timestamp,
         });
+        this.stats.audioSent++;
+        this._audioChannels = noChannels;
         if (!this._audioLogDone) {
           console.log(
             `[NdiManager] First real audio frame – ${this._audioSampleRate}Hz, ` +
@@ -198,11 +977,39 @@ class NdiManager {
   /** Stop capturing and destroy the NDI sender. */
   async stop() {
     this.running = false;
+    await this._regionsUpdate;
+    await this._stopRegions();
     if (this._timeout) {
       clearTimeout(this._timeout);
       this._timeout = null;
     }
+    if (this._statsTimer) {
+      clearInterval(this._statsTimer);
+      this._statsTimer = null;
+    }
+    if (this._tallyTimer) {
+      clearInterval(this._tallyTimer);
+      this._tallyTimer = null;
+    }
+    this._setTally({ onProgram: false, onPreview: false, connections: 0 });
     this._audioQueue = [];
+    if (this._onPaint) {
+      if (!this.browserWindow.isDestroyed()) {
+        this.browserWindow.webContents.off("paint", this._onPaint);
+      }
+      this._onPaint = null;
+    }
+    this._watchPresent(false);
+    this._throttled = false;
+    this._frameSig = 0;
+    this._lastFrame = null;
+    this._sentFrame = null;
+    this._heldBitmap = null;
+    this.latestImage = null;
+    this.latestImageAt = 0;
+    this._stopPreviews();
+    this._paintedAt = 0;
+    this._framePending = false;
     if (this.sender) {
       try {
         this.sender.destroy();
@@ -214,4 +1021,43 @@ class NdiManager {
   }
 }
 
+/**
+ * A cheap signature of a BGRA frame: a hash of evenly spread pixels. It only
+ * tells adaptive mode that a page stopped changing; a change it misses just
+ * means that page is read back when Chromium presents a frame instead of on
+ * every tick.
+ * @param {Buffer} bitmap
+ * @returns {number}
+ */
+function frameSignature(bitmap) {
+  const pixels = bitmap.length >> 2;
+  const step = Math.max(1, Math.floor(pixels / SIGNATURE_SAMPLES)) | 1;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < pixels; i += step) {
+    h = Math.imul(h ^ bitmap.readUInt32LE(i * 4), 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Drop regions without a usable rectangle.
+ * @param {unknown} regions
+ * @returns {import('./ndi-region-output.cjs').CropRegion[]}
+ */
+function sanitizeRegions(regions) {
+  if (!Array.isArray(regions)) return [];
+  return regions
+    .filter((r) => r && r.width > 0 && r.height > 0)
+    .map((r) => ({
+      name: String(r.name || "").trim(),
+      x: Math.max(0, Number(r.x) || 0),
+      y: Math.max(0, Number(r.y) || 0),
+      width: Number(r.width),
+      height: Number(r.height),
+      outputWidth: Number(r.outputWidth) || undefined,
+      outputHeight: Number(r.outputHeight) || undefined,
+      fps: r.fps || undefined,
+    }));
+}
+
 module.exports = NdiManager;
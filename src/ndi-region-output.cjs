@@ -0,0 +1,223 @@
+"use strict";
+
+const NdiStats = require("./ndi-stats.cjs");
+const { parseFrameRate, FrameTimeline } = require("./frame-rate.cjs");
+const { wallClockMs, ndiTime } = require("./ndi-clock.cjs");
+const { FrameConverter } = require("./video-format.cjs");
+
+let grandi;
+try {
+  grandi = require("grandi");
+} catch {
+  grandi = null; // NdiManager already logs the warning
+}
+
+/**
+ * @typedef {object} CropRegion
+ * @property {string} name          NDI source name
+ * @property {number} x             Left edge in page (CSS) pixels
+ * @property {number} y             Top edge in page (CSS) pixels
+ * @property {number} width         Crop width in page pixels
+ * @property {number} height        Crop height in page pixels
+ * @property {number} [outputWidth]   NDI output width (defaults to crop width)
+ * @property {number} [outputHeight]  NDI output height (defaults to crop height)
+ * @property {number|string} [fps]  Output frame rate (defaults to the window's)
+ */
+
+/**
+ * An extra NDI source that publishes a rectangle of a window.
+ *
+ * It does not capture on its own: it crops the latest full-page image held
+ * by the window's NdiManager, so any number of regions share one readback of
+ * the page. Each source frame is cropped and converted once; slots without a
+ * new one repeat the cached crop.
+ */
+class NdiRegionOutput {
+  /**
+   * @param {import('./ndi-manager.cjs')} source  The window's NdiManager
+   * @param {CropRegion} region
+   */
+  constructor(source, region) {
+    this.source = source;
+    this.region = region;
+    this.sender = null;
+    this.running = false;
+    this._timeout = null;
+    this._lastImage = null;
+    /** Crop of `_lastImage` at the output size. */
+    this._lastBitmap = null;
+    this.stats = new NdiStats();
+    // Sends in the source window's video format
+    this._converter = new FrameConverter();
+
+    const rate = parseFrameRate(region.fps, {
+      n: source.frameRateN,
+      d: source.frameRateD,
+    });
+    this.frameRateN = rate.n;
+    this.frameRateD = rate.d;
+    this._timeline = new FrameTimeline(rate);
+
+    this.width = Math.round(region.outputWidth || region.width);
+    this.height = Math.round(region.outputHeight || region.height);
+  }
+
+  /** Create the sender and start sending crops of the source's frames. */
+  async start() {
+    if (!grandi) throw new Error("grandi native module is not available");
+    this.sender = await grandi.send({
+      name: this.region.name,
+      clockVideo: true,
+      clockAudio: false,
+    });
+    this.stats.reset();
+    this._timeline.reset();
+    this._statsTimer = setInterval(() => this.stats.tick(), 1000);
+    this.running = true;
+    console.log(
+      `[NdiRegion] Started "${this.region.name}" – ` +
+        `${this.region.width}×${this.region.height}+${this.region.x}+${this.region.y} → ` +
+        `${this.width}×${this.height} @ ${this.frameRateN}/${this.frameRateD}`,
+    );
+    this._loop();
+  }
+
+  /** @private */
+  async _loop() {
+    if (!this.running || !this.sender) return;
+
+    const image = this.source.latestImage;
+    if (image && !image.isEmpty()) {
+      try {
+        const t0 = performance.now();
+        // A new capture is cropped and keeps its capture time; repeats send
+        // the same buffer (converted once) stamped now
+        const fresh = image !== this._lastImage || !this._lastBitmap;
+        if (fresh) {
+          this._lastBitmap = this._crop(image);
+          this._lastImage = image;
+        }
+        const t1 = performance.now();
+        const capturedAt = fresh ? this.source.latestImageAt : wallClockMs();
+        await this._sendVideo(this._lastBitmap, capturedAt);
+        const t2 = performance.now();
+        this.stats.frame({
+          resizeMs: t1 - t0,
+          sendMs: t2 - t1,
+          late: t2 - t0 > this._timeline.frameMs,
+          reused: !fresh,
+        });
+      } catch (err) {
+        if (this.running) {
+          console.error(
+            `[NdiRegion] Send error ("${this.region.name}"):`,
+            err.message,
+          );
+        }
+      }
+    }
+
+    if (!this.running) return;
+    // Missed slots are skipped; their overrun already flagged a late frame
+    const { delay } = this._timeline.next();
+    this._timeout = setTimeout(() => this._loop(), delay);
+  }
+
+  /**
+   * Crop the region out of a full-page image and scale it to the output size.
+   * The image may be larger than the page (HiDPI, zoom) or already scaled to
+   * the window's output size, so the rectangle is mapped from page pixels
+   * first.
+   * @private
+   * @param {import('electron').NativeImage} image
+   * @returns {Buffer}
+   */
+  _crop(image) {
+    const size = image.getSize();
+    const win = this.source.browserWindow;
+    const zoom = this.source.zoom || 1;
+    const [pageW, pageH] = win.isDestroyed()
+      ? [size.width, size.height]
+      : win.getContentSize().map((px) => px / zoom);
+    const sx = size.width / pageW;
+    const sy = size.height / pageH;
+
+    const x = clamp(Math.round(this.region.x * sx), 0, size.width - 1);
+    const y = clamp(Math.round(this.region.y * sy), 0, size.height - 1);
+    const rect = {
+      x,
+      y,
+      width: clamp(Math.round(this.region.width * sx), 1, size.width - x),
+      height: clamp(Math.round(this.region.height * sy), 1, size.height - y),
+    };
+
+    const cropped = image.crop(rect);
+    if (rect.width === this.width && rect.height === this.height) {
+      return cropped.toBitmap();
+    }
+    return cropped
+      .resize({ width: this.width, height: this.height })
+      .toBitmap();
+  }
+
+  /**
+   * @private
+   * @param {Buffer} bitmap  BGRA at the output size
+   * @param {number} [capturedAt]  Wall-clock capture time (ms)
+   */
+  async _sendVideo(bitmap, capturedAt) {
+    const { timecode, timestamp } = ndiTime(capturedAt || undefined);
+    this._converter.setFormat(this.source.videoFormat);
+    const frame = this._converter.convert(bitmap, this.width, this.height);
+    await this.sender.video({
+      xres: this.width,
+      yres: this.height,
+      frameRateN: this.frameRateN,
+      frameRateD: this.frameRateD,
+      pictureAspectRatio: this.width / this.height,
+      frameFormatType: grandi.FrameType.Progressive,
+      lineStrideBytes: frame.lineStrideBytes,
+      fourCC: grandi.FourCC[frame.fourCC],
+      data: frame.data,
+      timecode,
+      timestamp,
+    });
+  }
+
+  getStats() {
+    return this.stats.snapshot({
+      name: this.region.name,
+      running: this.running,
+      targetFps: Math.round((this.frameRateN / this.frameRateD) * 1000) / 1000,
+    });
+  }
+
+  /** Stop sending and destroy the sender. */
+  async stop() {
+    this.running = false;
+    this._lastImage = null;
+    this._lastBitmap = null;
+    if (this._timeout) {
+      clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+    if (this._statsTimer) {
+      clearInterval(this._statsTimer);
+      this._statsTimer = null;
+    }
+    if (this.sender) {
+      try {
+        this.sender.destroy();
+      } catch (e) {
+        console.error("[NdiRegion] Error destroying sender:", e.message);
+      }
+      this.sender = null;
+    }
+  }
+}
+
+function clamp(v, min, max) {
+  return Math.min(max, Math.max(min, v));
+}
+
+module.exports = NdiRegionOutput;
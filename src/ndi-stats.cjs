@@ -0,0 +1,112 @@
+"use strict";
+
+/** Number of one-second samples kept for the control panel sparkline. */
+const HISTORY_LENGTH = 60;
+
+/**
+ * Rolling performance counters for one NDI output.
+ *
+ * Per-frame timings are accumulated and folded into averages once a second by
+ * `tick()`, so `snapshot()` always reports the last full second.
+ */
+class NdiStats {
+  constructor() {
+    this.reset();
+  }
+
+  /** Clear all counters (called when a sender starts). */
+  reset() {
+    this._windowStart = performance.now();
+    this._frames = 0;
+    this._captureMs = 0;
+    this._resizeMs = 0;
+    this._sendMs = 0;
+    this._reused = 0;
+
+    this.fps = 0;
+    this.captureMs = 0;
+    this.resizeMs = 0;
+    this.sendMs = 0;
+    /** Share of the last second's frames re-sent unchanged, 0–100. */
+    this.reusedPct = 0;
+    this.framesSent = 0;
+    this.lateFrames = 0;
+    this.audioSent = 0;
+    this.audioDropped = 0;
+    this.metadataSent = 0;
+    /** @type {number[]} Output FPS, one sample per second */
+    this.history = [];
+  }
+
+  /**
+   * Record one video frame that was sent.
+   * @param {{captureMs?: number, resizeMs?: number, sendMs?: number,
+   *          late?: boolean, reused?: boolean}} t
+   *        `reused`: the previous frame was sent again (unchanged page)
+   */
+  frame({
+    captureMs = 0,
+    resizeMs = 0,
+    sendMs = 0,
+    late = false,
+    reused = false,
+  }) {
+    this._frames++;
+    if (reused) this._reused++;
+    this._captureMs += captureMs;
+    this._resizeMs += resizeMs;
+    this._sendMs += sendMs;
+    this.framesSent++;
+    if (late) this.lateFrames++;
+  }
+
+  /** Fold the last second of per-frame timings into the published averages. */
+  tick() {
+    const now = performance.now();
+    const dt = (now - this._windowStart) / 1000;
+    if (dt <= 0) return;
+    const n = this._frames;
+
+    this.fps = n / dt;
+    this.captureMs = n ? this._captureMs / n : 0;
+    this.resizeMs = n ? this._resizeMs / n : 0;
+    this.sendMs = n ? this._sendMs / n : 0;
+    this.reusedPct = n ? (this._reused / n) * 100 : 0;
+    this.history.push(Math.round(this.fps * 10) / 10);
+    if (this.history.length > HISTORY_LENGTH) this.history.shift();
+
+    this._windowStart = now;
+    this._frames = 0;
+    this._captureMs = 0;
+    this._resizeMs = 0;
+    this._sendMs = 0;
+    this._reused = 0;
+  }
+
+  /**
+   * Plain-object copy suitable for IPC / JSON.
+   * @param {object} [extra]  Additional live values (e.g. queue depth)
+   */
+  snapshot(extra = {}) {
+    return {
+      fps: round(this.fps),
+      captureMs: round(this.captureMs),
+      resizeMs: round(this.resizeMs),
+      sendMs: round(this.sendMs),
+      reusedPct: Math.round(this.reusedPct),
+      framesSent: this.framesSent,
+      lateFrames: this.lateFrames,
+      audioSent: this.audioSent,
+      audioDropped: this.audioDropped,
+      metadataSent: this.metadataSent,
+      history: this.history.slice(),
+      ...extra,
+    };
+  }
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+module.exports = NdiStats;
@@ -0,0 +1,111 @@
+"use strict";
+
+/** Keeps the page see-through for transparent windows. */
+const TRANSPARENT_CSS = "html, body { background: transparent !important; }";
+const HIDE_SCROLLBARS_CSS =
+  "html, body { scrollbar-width: none !important; }\n" +
+  "::-webkit-scrollbar { display: none !important; }";
+
+/**
+ * @typedef {object} InjectionConfig
+ * @property {string} [css]              User stylesheet
+ * @property {string} [js]               User script, run in the page
+ * @property {boolean} [hideScrollbars]
+ */
+
+/**
+ * Per-page injection state.
+ * @type {WeakMap<import('electron').WebContents,
+ *   {css: string, js: string, cssKey: Promise<string|null>|null,
+ *    onError: (message: string) => void}>}
+ */
+const pages = new WeakMap();
+
+/**
+ * @param {InjectionConfig} [config]
+ * @returns {Required<InjectionConfig>}
+ */
+function normalizeInjection(config = {}) {
+  return {
+    css: String(config.css || ""),
+    js: String(config.js || ""),
+    hideScrollbars: !!config.hideScrollbars,
+  };
+}
+
+/**
+ * Inject a window's CSS and JS on every dom-ready.
+ * @param {import('electron').WebContents} wc
+ * @param {{transparent: boolean, inject: InjectionConfig}} config  Normalised
+ * @param {(message: string) => void} onError  A user script threw
+ */
+function attachInjection(wc, config, onError) {
+  const page = {
+    css: composeCss(config),
+    js: config.inject.js,
+    cssKey: null,
+    onError,
+  };
+  pages.set(wc, page);
+  wc.on("dom-ready", () => {
+    page.cssKey = null; // a new document has none of the old styles
+    insertCss(wc, page);
+    runJs(wc, page);
+  });
+}
+
+/**
+ * Swap a live page's injected CSS and run changed JS in it, without a reload.
+ * Scripts should be safe to run twice on the same page.
+ * @param {import('electron').WebContents} wc
+ * @param {{transparent: boolean, inject: InjectionConfig}} config  Normalised
+ */
+function updateInjection(wc, config) {
+  const page = pages.get(wc);
+  if (!page || wc.isDestroyed()) return;
+  const css = composeCss(config);
+  if (css !== page.css) {
+    const previous = page.cssKey;
+    page.css = css;
+    page.cssKey = null;
+    if (previous) {
+      previous
+        .then((key) => key && !wc.isDestroyed() && wc.removeInsertedCSS(key))
+        .catch(() => {});
+    }
+    insertCss(wc, page);
+  }
+  if (config.inject.js !== page.js) {
+    page.js = config.inject.js;
+    runJs(wc, page);
+  }
+}
+
+/** @param {{transparent: boolean, inject: InjectionConfig}} config */
+function composeCss({ transparent, inject }) {
+  return [
+    transparent && TRANSPARENT_CSS,
+    inject.hideScrollbars && HIDE_SCROLLBARS_CSS,
+    inject.css,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function insertCss(wc, page) {
+  if (!page.css) return;
+  page.cssKey = wc.insertCSS(page.css).catch((err) => {
+    page.onError(`User CSS rejected: ${err.message}`);
+    return null;
+  });
+}
+
+function runJs(wc, page) {
+  if (!page.js.trim()) return;
+  // Own function scope, so re-running doesn't redeclare top-level names
+  wc.executeJavaScript(`(async () => {\n${page.js}\n})()`).catch((err) =>
+    page.onError(`User JS: ${err.message}`),
+  );
+}
+
+module.exports = { normalizeInjection, attachInjection, updateInjection };
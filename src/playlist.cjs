@@ -0,0 +1,161 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+
+/**
+ * @typedef {object} PlaylistItem
+ * @property {string} url
+ * @property {number} [dwell]  Seconds on air before advancing; 0 = until cued
+ */
+
+/**
+ * A window's URL rotation: the item list, which item is on air and the dwell
+ * timer. The window switching itself (preloading the next page in a hidden
+ * companion window and cutting over) is done by the owner on "cue".
+ *
+ * Emits:
+ *  - "cue" `{index, item}` when an item should go on air, from next() / prev()
+ *    / cue() or the dwell timer. The owner calls `startDwell()` once the
+ *    item is actually on air (or has failed), which times the next advance.
+ */
+class Playlist extends EventEmitter {
+  /** @param {{items?: PlaylistItem[]}} [config] */
+  constructor(config) {
+    super();
+    /** @type {PlaylistItem[]} */
+    this.items = [];
+    /** Index of the item on air, -1 before the first. */
+    this.index = -1;
+    /** Epoch ms of the next automatic advance, or null. */
+    this.nextAt = null;
+    this._timer = null;
+    // Between a cue and the owner's startDwell() nothing is timed
+    this._cueing = false;
+    this.configure(config);
+  }
+
+  /**
+   * Replace the item list. The page on air stays on air (the index is clamped
+   * to the new length) and its dwell restarts with the new value.
+   * @param {{items?: PlaylistItem[]}} [config]
+   */
+  configure(config = {}) {
+    this.items = sanitizeItems(config.items);
+    if (this.items.length === 0) {
+      this.index = -1;
+      this._cueing = false;
+      this._cancel();
+    } else if (this.index >= this.items.length) {
+      this.index = this.items.length - 1;
+    }
+    if (this.index >= 0 && !this._cueing) this.startDwell();
+  }
+
+  toJSON() {
+    return { items: this.items.map((item) => ({ ...item })) };
+  }
+
+  /** Whether the window is driven by the playlist at all. */
+  get active() {
+    return this.items.length > 0;
+  }
+
+  /** @returns {PlaylistItem|null} */
+  get current() {
+    return this.items[this.index] || null;
+  }
+
+  /** Index of the item after the one on air (wrapping), or -1. */
+  get upcomingIndex() {
+    if (this.items.length < 2) return -1;
+    return (this.index + 1) % this.items.length;
+  }
+
+  /**
+   * Put the first item on air without a cut (the window loads it itself).
+   * @returns {PlaylistItem|null}
+   */
+  begin() {
+    if (!this.active) return null;
+    this.index = 0;
+    this.startDwell();
+    return this.current;
+  }
+
+  next() {
+    return this.active && this.cue((this.index + 1) % this.items.length);
+  }
+
+  prev() {
+    const n = this.items.length;
+    return this.active && this.cue((this.index - 1 + n) % n);
+  }
+
+  /**
+   * @param {number} index
+   * @returns {boolean} false if there is no such item
+   */
+  cue(index) {
+    index = Number(index);
+    if (!Number.isInteger(index) || !this.items[index]) return false;
+    this._cancel();
+    this.index = index;
+    this._cueing = true;
+    this.emit("cue", { index, item: this.items[index] });
+    return true;
+  }
+
+  /** Start timing the item on air; advances after its dwell. */
+  startDwell() {
+    this._cancel();
+    this._cueing = false;
+    const item = this.current;
+    if (!item || !item.dwell || this.items.length < 2) return;
+    const ms = item.dwell * 1000;
+    this.nextAt = Date.now() + ms;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.next();
+    }, ms);
+  }
+
+  /** Stop the automatic rotation (window closing). */
+  dispose() {
+    this._cancel();
+  }
+
+  /** Snapshot for the control panel and API clients. */
+  status() {
+    const item = this.current;
+    return {
+      index: this.index,
+      count: this.items.length,
+      url: item ? item.url : null,
+      nextAt: this.nextAt,
+    };
+  }
+
+  /** @private */
+  _cancel() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.nextAt = null;
+  }
+}
+
+/**
+ * Drop items without a URL; dwell is whole or fractional seconds ≥ 0.
+ * @param {unknown} items
+ * @returns {PlaylistItem[]}
+ */
+function sanitizeItems(items) {
+  if (!Array.isArray(items)) return [];
+  return items
+    .filter((i) => i && typeof i.url === "string" && i.url.trim())
+    .map((i) => ({
+      url: i.url.trim(),
+      dwell: Math.max(0, Number(i.dwell) || 0),
+    }));
+}
+
+module.exports = Playlist;
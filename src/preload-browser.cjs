@@ -7,6 +7,11 @@
  * messages through the Electron main process so that windows loaded from
  * different origins can still communicate with each other.
  *
+ * Also exposes the `window.grandicast` page API (NDI state, tally, reload /
+ * freeze requests, status and log messages for the control panel, shared
+ * state) and captures tab audio for the NDI sender, applying the source's
+ * gain/mute and measuring peak/RMS levels for the meters.
+ *
  * Runs with contextIsolation: false so the patched class is visible to the page.
  */
 
@@ -112,6 +117,217 @@ const { ipcRenderer } = require("electron");
   window.BroadcastChannel = BridgedBroadcastChannel;
 })();
 
+// ── Page API: window.grandicast ──────────────────────────────────────────────
+// Lets a captured page see that it is being broadcast and talk to the host:
+//
+//   grandicast.ndi        { active, name, width, height, fps, frameRate }
+//   grandicast.tally      { onProgram, onPreview, connections }
+//   grandicast.frozen     whether the output is frozen
+//   grandicast.reload() / freeze() / unfreeze()      → Promise<boolean>
+//   grandicast.setStatus(text, level?)   status line on the control panel card
+//   grandicast.log(text, level?)         message in the card's page log
+//   grandicast.sendMetadata(xml)         NDI metadata frame to all receivers
+//   grandicast.state.get(key) / keys()   shared JSON state (null if unset)
+//   grandicast.state.set(key, value) / delete(key)   → Promise
+//   grandicast.state.subscribe(key, fn)  fn(value, key) now and on every
+//                                        change ("*": all keys, changes only)
+//
+// Events (addEventListener, `detail` carries the new state):
+//   "ndistart", "ndistop", "tally", "freeze",
+//   "statechange" (`{key, value, deleted}`)
+//
+// Graphics can pause animations while off air and play them in when they take
+// program. The older `window.ndiTally` / window "ndi-tally" event still work.
+(() => {
+  const IDLE_STATE = {
+    windowId: null,
+    ndi: {
+      active: false,
+      name: null,
+      width: null,
+      height: null,
+      fps: null,
+      frameRate: null,
+    },
+    tally: { onProgram: false, onPreview: false, connections: 0 },
+    frozen: false,
+  };
+  let state = IDLE_STATE;
+  try {
+    state = ipcRenderer.sendSync("grandicast-get-state") || IDLE_STATE;
+  } catch {
+    // Not a captured window – keep the idle state
+  }
+
+  // Local mirror of the shared state store, kept current by change events
+  /** @type {Map<string, unknown>} */
+  let shared = new Map();
+  try {
+    const snapshot = ipcRenderer.sendSync("shared-state-snapshot");
+    shared = new Map(Object.entries(snapshot));
+  } catch {
+    // Not a captured window – start empty
+  }
+  /** @type {Map<string, Set<Function>>} */
+  const subscribers = new Map();
+
+  /**
+   * State shared by every captured window and the control panel, persisted
+   * across reloads and restarts. Values are plain JSON.
+   */
+  class SharedState {
+    /** @param {string} key */
+    get(key) {
+      return shared.has(key) ? structuredClone(shared.get(key)) : null;
+    }
+    keys() {
+      return [...shared.keys()];
+    }
+
+    /**
+     * @param {string} key
+     * @param {unknown} value  null / undefined removes the key
+     * @returns {Promise<void>} settles once every window has the new value
+     */
+    async set(key, value) {
+      const result = await ipcRenderer.invoke("shared-state-set", {
+        key,
+        value: value === undefined ? null : value,
+      });
+      if (!result.success) throw new Error(result.error);
+    }
+    /** @param {string} key */
+    delete(key) {
+      return this.set(key, null);
+    }
+
+    /**
+     * @param {string} key  "*" for every key
+     * @param {(value: unknown, key: string) => void} callback
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(key, callback) {
+      key = String(key);
+      if (!subscribers.has(key)) subscribers.set(key, new Set());
+      subscribers.get(key).add(callback);
+      if (key !== "*") callback(this.get(key), key);
+      return () => subscribers.get(key)?.delete(callback);
+    }
+  }
+
+  class GrandicastPageApi extends EventTarget {
+    constructor() {
+      super();
+      this.state = new SharedState();
+    }
+
+    /** Id of this window in the control panel / remote API. */
+    get windowId() {
+      return state.windowId;
+    }
+    get ndi() {
+      return { ...state.ndi };
+    }
+    get tally() {
+      return { ...state.tally };
+    }
+    get frozen() {
+      return state.frozen;
+    }
+
+    reload() {
+      return ipcRenderer.invoke("grandicast-request", { action: "reload" });
+    }
+    freeze() {
+      return ipcRenderer.invoke("grandicast-request", { action: "freeze" });
+    }
+    unfreeze() {
+      return ipcRenderer.invoke("grandicast-request", { action: "unfreeze" });
+    }
+
+    /**
+     * Send an XML metadata frame downstream, e.g. to announce the graphic's
+     * current state to the vision mixer.
+     * @param {string} xml
+     * @returns {Promise<{success: boolean, error?: string}|false>}
+     */
+    sendMetadata(xml) {
+      return ipcRenderer.invoke("grandicast-request", {
+        action: "metadata",
+        data: String(xml ?? ""),
+      });
+    }
+
+    /**
+     * Show a status line on this window's control panel card ("" clears it).
+     * @param {string} text
+     * @param {"debug"|"info"|"warn"|"error"} [level]
+     */
+    setStatus(text, level = "info") {
+      ipcRenderer.send("grandicast-message", {
+        kind: "status",
+        level,
+        text: String(text ?? ""),
+      });
+    }
+
+    /**
+     * Add a message to this window's page log in the control panel.
+     * @param {string} text
+     * @param {"debug"|"info"|"warn"|"error"} [level]
+     */
+    log(text, level = "info") {
+      ipcRenderer.send("grandicast-message", {
+        kind: "log",
+        level,
+        text: String(text ?? ""),
+      });
+    }
+  }
+
+  const api = new GrandicastPageApi();
+  Object.defineProperty(window, "grandicast", {
+    value: api,
+    enumerable: true,
+  });
+  window.ndiTally = state.tally;
+
+  const fire = (type, detail) =>
+    api.dispatchEvent(new CustomEvent(type, { detail }));
+
+  ipcRenderer.on("grandicast-state", (_ev, next) => {
+    const prev = state;
+    state = next;
+    if (next.ndi.active && !prev.ndi.active) fire("ndistart", api.ndi);
+    if (!next.ndi.active && prev.ndi.active) fire("ndistop", api.ndi);
+    if (next.frozen !== prev.frozen) fire("freeze", { frozen: next.frozen });
+  });
+
+  ipcRenderer.on("shared-state-change", (_ev, change) => {
+    const { key, value, deleted } = change;
+    if (deleted) shared.delete(key);
+    else shared.set(key, value);
+    for (const callback of [
+      ...(subscribers.get(key) || []),
+      ...(subscribers.get("*") || []),
+    ]) {
+      try {
+        callback(api.state.get(key), key);
+      } catch (err) {
+        console.error("[grandicast] State subscriber failed:", err);
+      }
+    }
+    fire("statechange", change);
+  });
+
+  ipcRenderer.on("ndi-tally", (_ev, tally) => {
+    state = { ...state, tally };
+    window.ndiTally = tally;
+    window.dispatchEvent(new CustomEvent("ndi-tally", { detail: tally }));
+    fire("tally", api.tally);
+  });
+})();
+
 // ── Tab audio capture for NDI ────────────────────────────────────────────────
 (() => {
   let audioCapture = null;
@@ -124,12 +340,21 @@ class AudioCaptureProcessor extends AudioWorkletProcessor {
   constructor(options) {
     super();
     const opts = options.processorOptions || {};
-    this._size = opts.bufferSize || 4096;
-    this._ch0  = new Float32Array(this._size);
-    this._ch1  = new Float32Array(this._size);
-    this._pos  = 0;
+    this._size     = opts.bufferSize || 4096;
+    this._channels = opts.channels || 2;
+    this._gain     = opts.gain ?? 1;
+    this._muted    = !!opts.muted;
+    this._planar   = new Float32Array(this._size * this._channels);
+    this._peak     = new Float32Array(this._channels);
+    this._sumSq    = new Float64Array(this._channels);
+    this._pos      = 0;
+    this._start    = 0;
     this.port.onmessage = (e) => {
       if (e.data === 'stop') this._stopped = true;
+      else if (e.data && e.data.type === 'gain') {
+        this._gain  = e.data.gain;
+        this._muted = e.data.muted;
+      }
     };
   }
 
@@ -137,27 +362,50 @@ class AudioCaptureProcessor extends AudioWorkletProcessor {
     if (this._stopped) return false;
     const inp = inputs[0];
     if (!inp || !inp[0]) return true;
-    const src0 = inp[0];
-    const src1 = inp.length > 1 ? inp[1] : src0;
-    let read = 0, rem = src0.length;
-
-    while (rem > 0) {
-      const space = this._size - this._pos;
-      const n     = Math.min(rem, space);
-      this._ch0.set(src0.subarray(read, read + n), this._pos);
-      this._ch1.set(src1.subarray(read, read + n), this._pos);
-      this._pos += n; read += n; rem -= n;
+    const frames = inp[0].length;
+    const gain   = this._gain;
+    const out    = this._muted ? 0 : 1;
+    let read = 0;
+
+    while (read < frames) {
+      const n = Math.min(frames - read, this._size - this._pos);
+      // Context time of the chunk's first sample
+      if (this._pos === 0) this._start = currentTime + read / sampleRate;
+      // The node's explicit channelCount makes Web Audio up/down-mix the
+      // input to the configured layout; absent channels stay silent.
+      for (let c = 0; c < this._channels && c < inp.length; c++) {
+        const src  = inp[c];
+        const base = c * this._size + this._pos;
+        let peak = this._peak[c];
+        let sum  = this._sumSq[c];
+        for (let i = 0; i < n; i++) {
+          const v = src[read + i] * gain;
+          const a = v < 0 ? -v : v;
+          if (a > peak) peak = a;
+          sum += v * v;
+          this._planar[base + i] = v * out;
+        }
+        this._peak[c]  = peak;
+        this._sumSq[c] = sum;
+      }
+      this._pos += n; read += n;
 
       if (this._pos >= this._size) {
-        const planar = new Float32Array(this._size * 2);
-        planar.set(this._ch0, 0);
-        planar.set(this._ch1, this._size);
+        const planar = this._planar;
         this.port.postMessage(
-          { noSamples: this._size, planar: planar.buffer },
+          {
+            noSamples: this._size,
+            noChannels: this._channels,
+            time: this._start,
+            planar: planar.buffer,
+            peak: Array.from(this._peak),
+            rms: Array.from(this._sumSq, (s) => Math.sqrt(s / this._size)),
+          },
           [planar.buffer]
         );
-        this._ch0 = new Float32Array(this._size);
-        this._ch1 = new Float32Array(this._size);
+        this._planar = new Float32Array(this._size * this._channels);
+        this._peak.fill(0);
+        this._sumSq.fill(0);
         this._pos = 0;
       }
     }
@@ -167,10 +415,43 @@ class AudioCaptureProcessor extends AudioWorkletProcessor {
 registerProcessor('audio-capture-processor', AudioCaptureProcessor);
 `;
 
+  /** dB → linear gain factor. */
+  function _dbToGain(db) {
+    return Math.pow(10, (Number(db) || 0) / 20);
+  }
+
+  /**
+   * Map an AudioContext time onto the wall clock shared with the main
+   * process (`performance.timeOrigin + performance.now()`), so audio can be
+   * stamped with its capture time rather than its arrival time.
+   */
+  function _contextTimeToWallClock(audioCtx, contextTime) {
+    const ts = audioCtx.getOutputTimestamp();
+    return (
+      performance.timeOrigin +
+      ts.performanceTime +
+      (contextTime - ts.contextTime) * 1000
+    );
+  }
+
+  /** Forward a captured chunk (and its meter levels) to the NDI sender. */
+  function _sendChunk(
+    audioCtx,
+    { noSamples, noChannels, time, planar, peak, rms },
+  ) {
+    ipcRenderer.send("audio-pcm-data", {
+      noSamples,
+      noChannels,
+      capturedAt: _contextTimeToWallClock(audioCtx, time),
+      planarBuf: Buffer.from(planar),
+      levels: { peak, rms },
+    });
+  }
+
   /**
    * Preferred path: AudioWorkletNode (off-main-thread, glitch-free).
    */
-  async function _createWorkletNode(audioCtx, source, bufferSize) {
+  async function _createWorkletNode(audioCtx, source, opts) {
     const blob = new Blob([WORKLET_SOURCE], { type: "application/javascript" });
     const url = URL.createObjectURL(blob);
     try {
@@ -182,42 +463,71 @@ registerProcessor('audio-capture-processor', AudioCaptureProcessor);
     const node = new AudioWorkletNode(audioCtx, "audio-capture-processor", {
       numberOfInputs: 1,
       numberOfOutputs: 1,
+      channelCount: opts.channels,
+      channelCountMode: "explicit",
+      channelInterpretation: "speakers",
       outputChannelCount: [2],
-      processorOptions: { bufferSize },
+      processorOptions: {
+        bufferSize: opts.bufferSize,
+        channels: opts.channels,
+        gain: _dbToGain(opts.gain),
+        muted: !!opts.muted,
+      },
     });
 
-    node.port.onmessage = (e) => {
-      const { noSamples, planar } = e.data;
-      ipcRenderer.send("audio-pcm-data", {
-        noSamples,
-        planarBuf: Buffer.from(planar),
-      });
-    };
+    node.port.onmessage = (e) => _sendChunk(audioCtx, e.data);
 
     source.connect(node);
     const gain = audioCtx.createGain();
     gain.gain.value = 0;
     node.connect(gain);
     gain.connect(audioCtx.destination);
-    return { node, gain };
+    return {
+      node,
+      gain,
+      setMix: (g, muted) =>
+        node.port.postMessage({ type: "gain", gain: g, muted }),
+    };
   }
 
   /**
    * Fallback: ScriptProcessorNode (deprecated, main-thread, may crackle).
    */
-  function _createScriptNode(audioCtx, source, bufferSize) {
-    const node = audioCtx.createScriptProcessor(bufferSize, 2, 2);
+  function _createScriptNode(audioCtx, source, opts) {
+    const channels = opts.channels;
+    const mix = { gain: _dbToGain(opts.gain), muted: !!opts.muted };
+    const node = audioCtx.createScriptProcessor(
+      opts.bufferSize,
+      channels,
+      channels,
+    );
+    node.channelInterpretation = "speakers";
     node.onaudioprocess = (e) => {
-      const ch0 = e.inputBuffer.getChannelData(0);
-      const ch1 = e.inputBuffer.getChannelData(1);
-      const noSamples = ch0.length;
-      const buf = new ArrayBuffer(noSamples * 2 * 4);
-      const view = new Float32Array(buf);
-      view.set(ch0, 0);
-      view.set(ch1, noSamples);
-      ipcRenderer.send("audio-pcm-data", {
+      const noSamples = e.inputBuffer.length;
+      const planar = new Float32Array(noSamples * channels);
+      const peak = [];
+      const rms = [];
+      for (let c = 0; c < channels; c++) {
+        const src = e.inputBuffer.getChannelData(c);
+        let p = 0;
+        let sum = 0;
+        for (let i = 0; i < noSamples; i++) {
+          const v = src[i] * mix.gain;
+          p = Math.max(p, Math.abs(v));
+          sum += v * v;
+          planar[c * noSamples + i] = mix.muted ? 0 : v;
+        }
+        peak.push(p);
+        rms.push(Math.sqrt(sum / noSamples));
+      }
+      _sendChunk(audioCtx, {
         noSamples,
-        planarBuf: Buffer.from(buf),
+        noChannels: channels,
+        // The input block was recorded one buffer before it plays out
+        time: e.playbackTime - noSamples / audioCtx.sampleRate,
+        planar: planar.buffer,
+        peak,
+        rms,
       });
     };
 
@@ -226,19 +536,28 @@ registerProcessor('audio-capture-processor', AudioCaptureProcessor);
     gain.gain.value = 0;
     node.connect(gain);
     gain.connect(audioCtx.destination);
-    return { node, gain };
+    return {
+      node,
+      gain,
+      setMix: (g, muted) => Object.assign(mix, { gain: g, muted }),
+    };
   }
 
   ipcRenderer.on("start-audio-capture", async (_ev, opts) => {
     if (audioCapture) return; // already running
-    const bufferSize = (opts && opts.bufferSize) || 4096;
+    const capture = {
+      bufferSize: (opts && opts.bufferSize) || 4096,
+      channels: (opts && opts.channels) || 2,
+      gain: (opts && opts.gain) || 0,
+      muted: !!(opts && opts.muted),
+    };
     try {
       // getDisplayMedia returns the tab's own audio thanks to
       // setDisplayMediaRequestHandler in the main process
       const stream = await navigator.mediaDevices.getDisplayMedia({
         audio: {
           sampleRate: 48000,
-          channelCount: 2,
+          channelCount: capture.channels,
           autoGainControl: false,
           echoCancellation: false,
           noiseSuppression: false,
@@ -264,14 +583,14 @@ registerProcessor('audio-capture-processor', AudioCaptureProcessor);
       let captureNode;
       let useWorklet = false;
       try {
-        captureNode = await _createWorkletNode(audioCtx, source, bufferSize);
+        captureNode = await _createWorkletNode(audioCtx, source, capture);
         useWorklet = true;
       } catch (workletErr) {
         console.warn(
           "[AudioCapture] AudioWorklet unavailable, falling back to ScriptProcessor:",
           workletErr.message,
         );
-        captureNode = _createScriptNode(audioCtx, source, bufferSize);
+        captureNode = _createScriptNode(audioCtx, source, capture);
       }
 
       audioCapture = {
@@ -280,10 +599,13 @@ registerProcessor('audio-capture-processor', AudioCaptureProcessor);
         source,
         node: captureNode.node,
         gain: captureNode.gain,
+        setMix: captureNode.setMix,
         useWorklet,
       };
       console.log(
-        `[AudioCapture] Started – 48 kHz, buffer=${bufferSize}, ` +
+        `[AudioCapture] Started – 48 kHz, ${capture.channels}ch, ` +
+          `buffer=${capture.bufferSize}, gain=${capture.gain} dB` +
+          `${capture.muted ? " (muted)" : ""}, ` +
           `engine=${useWorklet ? "AudioWorklet" : "ScriptProcessor"}`,
       );
     } catch (err) {
@@ -291,6 +613,11 @@ registerProcessor('audio-capture-processor', AudioCaptureProcessor);
     }
   });
 
+  // Live gain / mute changes from the control panel
+  ipcRenderer.on("set-audio-gain", (_ev, { gain, muted }) => {
+    if (audioCapture) audioCapture.setMix(_dbToGain(gain), !!muted);
+  });
+
   ipcRenderer.on("stop-audio-capture", () => {
     if (!audioCapture) return;
     try {
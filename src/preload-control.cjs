@@ -9,18 +9,40 @@ contextBridge.exposeInMainWorld("grandicast", {
     ipcRenderer.invoke("update-window", { id, config }),
   reloadWindow: (id) => ipcRenderer.invoke("reload-window", id),
   closeWindow: (id) => ipcRenderer.invoke("close-window", id),
+  getIncidents: (id) => ipcRenderer.invoke("get-incidents", id),
+  getWindowLog: (id) => ipcRenderer.invoke("get-window-log", id),
+  clearWindowLog: (id) => ipcRenderer.invoke("clear-window-log", id),
+  clearSession: (id) => ipcRenderer.invoke("clear-session", id),
+  playlistControl: (id, action, index) =>
+    ipcRenderer.invoke("playlist-control", { id, action, index }),
 
   // NDI control
-  startNdi: (id, ndiName, fps, audioEnabled, audioBufferSize) =>
+  startNdi: (id, ndiName, fps, audioEnabled, audioBufferSize, audio = {}) =>
     ipcRenderer.invoke("start-ndi", {
       id,
       ndiName,
       fps,
       audioEnabled,
       audioBufferSize,
+      audioChannels: audio.channels,
+      audioGain: audio.gain,
+      audioMuted: audio.muted,
+      audioOffset: audio.offset,
     }),
   stopNdi: (id) => ipcRenderer.invoke("stop-ndi", id),
+  setFreeze: (id, frozen) => ipcRenderer.invoke("set-freeze", { id, frozen }),
+  setAudio: (id, mix) => ipcRenderer.invoke("set-audio", { id, ...mix }),
+  sendMetadata: (id, data) =>
+    ipcRenderer.invoke("send-metadata", { id, data }),
   checkNdi: () => ipcRenderer.invoke("check-ndi"),
+  getNdiStats: (id) => ipcRenderer.invoke("get-ndi-stats", id),
+  getPreview: (id, options) =>
+    ipcRenderer.invoke("get-preview", { id, ...options }),
+
+  // Shared state (window.grandicast.state in captured pages)
+  getSharedState: () => ipcRenderer.invoke("shared-state-get"),
+  setSharedState: (key, value) =>
+    ipcRenderer.invoke("shared-state-set", { key, value }),
 
   // Settings persistence
   saveSettings: (panels) => ipcRenderer.invoke("save-settings", panels),
@@ -28,6 +50,55 @@ contextBridge.exposeInMainWorld("grandicast", {
 
   // Events from main process
   onWindowClosed: (callback) => {
-    ipcRenderer.on("window-closed", (_ev, id) => callback(id));
+    ipcRenderer.on("window-closed", (_ev, { id }) => callback(id));
+  },
+  // NDI started/stopped from elsewhere (e.g. the remote-control API)
+  onNdiState: (callback) => {
+    ipcRenderer.on("ndi-started", (_ev, { id }) => callback(id, true));
+    ipcRenderer.on("ndi-stopped", (_ev, { id }) => callback(id, false));
+  },
+  onWindowStatus: (callback) => {
+    ipcRenderer.on("window-status", (_ev, { id, ...status }) =>
+      callback(id, status),
+    );
+  },
+  onPlaylist: (callback) => {
+    ipcRenderer.on("playlist", (_ev, { id, ...status }) =>
+      callback(id, status),
+    );
+  },
+  onNdiHold: (callback) => {
+    ipcRenderer.on("ndi-hold", (_ev, { id, ...hold }) => callback(id, hold));
+  },
+  onNdiAudio: (callback) => {
+    ipcRenderer.on("ndi-audio", (_ev, { id, ...mix }) => callback(id, mix));
+  },
+  onAudioLevels: (callback) => {
+    ipcRenderer.on("audio-levels", (_ev, { id, ...levels }) =>
+      callback(id, levels),
+    );
+  },
+  // Status / log messages sent by captured pages through window.grandicast
+  onPageStatus: (callback) => {
+    ipcRenderer.on("page-status", (_ev, { id, ...status }) =>
+      callback(id, status),
+    );
+  },
+  onPageLog: (callback) => {
+    ipcRenderer.on("page-log", (_ev, { id, ...message }) =>
+      callback(id, message),
+    );
+  },
+  // Console, network and crash entries collected from captured pages
+  onWindowLog: (callback) => {
+    ipcRenderer.on("window-log", (_ev, { id, ...batch }) =>
+      callback(id, batch),
+    );
+  },
+  onSharedState: (callback) => {
+    ipcRenderer.on("shared-state", (_ev, change) => callback(change));
+  },
+  onNdiTally: (callback) => {
+    ipcRenderer.on("ndi-tally", (_ev, { id, ...tally }) => callback(id, tally));
   },
 });
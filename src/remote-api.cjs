@@ -0,0 +1,408 @@
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOOPBACK_HOSTS = new Set(["localhost", "::1", "[::1]"]);
+
+/**
+ * REST routes → method names. A captured `(\d+)` group becomes `params.id`,
+ * unless the route names another parameter for it (taken as a string). GET
+ * query parameters are passed along as strings.
+ * @type {Array<[string, RegExp, string, string?]>}
+ */
+const ROUTES = [
+  ["GET", /^\/api\/status$/, "status"],
+  ["GET", /^\/api\/windows$/, "listWindows"],
+  ["POST", /^\/api\/windows$/, "createWindow"],
+  ["GET", /^\/api\/windows\/(\d+)$/, "getWindow"],
+  ["PATCH", /^\/api\/windows\/(\d+)$/, "updateWindow"],
+  ["DELETE", /^\/api\/windows\/(\d+)$/, "closeWindow"],
+  ["POST", /^\/api\/windows\/(\d+)\/reload$/, "reloadWindow"],
+  ["POST", /^\/api\/windows\/(\d+)\/session\/clear$/, "clearSession"],
+  ["POST", /^\/api\/windows\/(\d+)\/playlist\/next$/, "playlistNext"],
+  ["POST", /^\/api\/windows\/(\d+)\/playlist\/prev$/, "playlistPrev"],
+  ["POST", /^\/api\/windows\/(\d+)\/playlist\/cue$/, "playlistCue"],
+  ["POST", /^\/api\/windows\/(\d+)\/ndi\/start$/, "startNdi"],
+  ["POST", /^\/api\/windows\/(\d+)\/ndi\/stop$/, "stopNdi"],
+  ["GET", /^\/api\/windows\/(\d+)\/stats$/, "getStats"],
+  ["GET", /^\/api\/windows\/(\d+)\/preview$/, "getPreview"],
+  ["GET", /^\/api\/windows\/(\d+)\/incidents$/, "getIncidents"],
+  ["GET", /^\/api\/windows\/(\d+)\/log$/, "getLog"],
+  ["POST", /^\/api\/windows\/(\d+)\/log\/clear$/, "clearLog"],
+  ["POST", /^\/api\/windows\/(\d+)\/freeze$/, "freeze"],
+  ["POST", /^\/api\/windows\/(\d+)\/unfreeze$/, "unfreeze"],
+  ["POST", /^\/api\/windows\/(\d+)\/audio$/, "setAudio"],
+  ["POST", /^\/api\/windows\/(\d+)\/metadata$/, "sendMetadata"],
+  ["GET", /^\/api\/state$/, "getState"],
+  ["PUT", /^\/api\/state$/, "replaceState"],
+  ["GET", /^\/api\/state\/([^/]+)$/, "getState", "key"],
+  ["PUT", /^\/api\/state\/([^/]+)$/, "setState", "key"],
+  ["DELETE", /^\/api\/state\/([^/]+)$/, "deleteState", "key"],
+];
+
+/**
+ * Optional local HTTP REST + WebSocket server exposing the same window and NDI
+ * operations as the control panel, for Bitfocus Companion and scripts.
+ *
+ * REST endpoints take and return JSON (see ROUTES). The WebSocket endpoint
+ * `/api/ws` pushes `{ event, data }` status events and accepts
+ * `{ id, method, params }` requests, answered with `{ id, result }` or
+ * `{ id, error }`. `/api/bridge?group=&channels=a,b` attaches a peer to the
+ * BroadcastChannel bridge (see ChannelBridge).
+ *
+ * When a token is configured every request must carry it, either as an
+ * `Authorization: Bearer <token>` header or a `?token=` query parameter.
+ * Without one the server only binds to loopback, and the `Host` header must
+ * name loopback or the bind address so DNS rebinding can't reach it.
+ *
+ * Browsers are locked out unless their origin is listed: the captured pages
+ * run on the same machine and must not drive the API. Requests and WebSocket
+ * upgrades carrying any other `Origin` are refused, CORS headers are only sent
+ * to listed origins, and bodies must be `application/json` so a plain form
+ * post can't get through either.
+ */
+class RemoteApiServer {
+  /**
+   * @param {object} opts
+   * @param {number} opts.port
+   * @param {string} opts.host   Bind address
+   * @param {string} [opts.token]
+   * @param {string[]} [opts.origins]  Browser origins allowed to call the API
+   * @param {Record<string, (params: any) => any>} opts.methods
+   *        Operation handlers keyed by method name
+   * @param {import('./channel-bridge.cjs').ChannelBridge} [opts.bridge]
+   */
+  constructor({ port, host, token, origins, methods, bridge }) {
+    this.port = port;
+    this.host = host;
+    this.token = token || "";
+    this.origins = new Set(origins || []);
+    this.methods = methods;
+    this.bridge = bridge || null;
+    this.server = null;
+    this.wss = null;
+    // Bridge peers live on their own server so they don't get status events
+    this.bridgeWss = null;
+  }
+
+  /** Start listening. Resolves once the socket is bound. */
+  async start() {
+    if (!this.token && !isLoopback(this.host)) {
+      throw new Error(
+        `Refusing to listen on ${this.host} without a token; ` +
+          "set one or bind to 127.0.0.1",
+      );
+    }
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on("connection", (ws) => this._onConnection(ws));
+    this.bridgeWss = new WebSocketServer({ noServer: true });
+    this.server.on("upgrade", (req, socket, head) =>
+      this._onUpgrade(req, socket, head),
+    );
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off("error", reject);
+        resolve();
+      });
+    });
+    console.log(
+      `[RemoteApi] Listening on http://${this.host}:${this.port} ` +
+        `(token: ${this.token ? "required" : "none"})`,
+    );
+  }
+
+  /**
+   * Push a status event to every connected WebSocket client.
+   * @param {string} event
+   * @param {object} data
+   */
+  broadcast(event, data) {
+    if (!this.wss) return;
+    const msg = JSON.stringify({ event, data });
+    for (const ws of this.wss.clients) {
+      if (ws.readyState === ws.OPEN) ws.send(msg);
+    }
+  }
+
+  /** Close all clients and stop listening. */
+  async stop() {
+    if (this.wss) {
+      for (const ws of this.wss.clients) ws.terminate();
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.bridgeWss) {
+      for (const ws of this.bridgeWss.clients) ws.terminate();
+      this.bridgeWss.close();
+      this.bridgeWss = null;
+    }
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
+  }
+
+  /**
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {URL} url
+   */
+  _authorized(req, url) {
+    if (!this.token) return true;
+    const header = req.headers.authorization || "";
+    const given = header.startsWith("Bearer ")
+      ? header.slice(7)
+      : url.searchParams.get("token") || "";
+    const a = Buffer.from(this.token);
+    const b = Buffer.from(given);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Without a token, only requests addressed to loopback or the bind address
+   * are served: a rebound DNS name still carries its own name as `Host`.
+   * @private
+   * @param {http.IncomingMessage} req
+   */
+  _hostAllowed(req) {
+    if (this.token) return true;
+    let host;
+    try {
+      host = new URL(`http://${req.headers.host || ""}`).hostname;
+    } catch {
+      return false;
+    }
+    return isLoopback(host) || host === this.host;
+  }
+
+  /**
+   * Requests without an `Origin` come from scripts and tools; browsers send
+   * one, and only listed origins may call.
+   * @private
+   * @param {http.IncomingMessage} req
+   */
+  _originAllowed(req) {
+    const origin = req.headers.origin;
+    return origin === undefined || this.origins.has(origin);
+  }
+
+  /** @private */
+  async _onRequest(req, res) {
+    if (!this._hostAllowed(req)) {
+      return sendJson(res, 403, { error: "Host not allowed" });
+    }
+    if (!this._originAllowed(req)) {
+      return sendJson(res, 403, { error: "Origin not allowed" });
+    }
+    if (req.headers.origin) {
+      res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+      res.setHeader("Vary", "Origin");
+      res.setHeader(
+        "Access-Control-Allow-Headers",
+        "Authorization, Content-Type",
+      );
+      res.setHeader(
+        "Access-Control-Allow-Methods",
+        "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+      );
+    }
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const url = new URL(req.url || "/", "http://localhost");
+    if (!this._authorized(req, url)) {
+      return sendJson(res, 401, { error: "Unauthorized" });
+    }
+
+    let method = null;
+    let params = {};
+    for (const [verb, pattern, name, param] of ROUTES) {
+      const m = pattern.exec(url.pathname);
+      if (!m) continue;
+      if (verb !== req.method) {
+        method = method || false;
+        continue;
+      }
+      method = name;
+      if (m[1] && param) {
+        try {
+          params[param] = decodeURIComponent(m[1]);
+        } catch {
+          return sendJson(res, 400, { error: "Malformed URL" });
+        }
+      } else if (m[1]) {
+        params.id = parseInt(m[1], 10);
+      }
+      break;
+    }
+    if (method === false) {
+      return sendJson(res, 405, { error: "Method not allowed" });
+    }
+    if (!method) return sendJson(res, 404, { error: "Not found" });
+
+    try {
+      if (["POST", "PUT", "PATCH"].includes(req.method)) {
+        if (!isJson(req)) {
+          return sendJson(res, 415, {
+            error: "Content-Type must be application/json",
+          });
+        }
+        const body = await readJsonBody(req);
+        params = { ...body, ...params };
+      }
+      if (req.method === "GET") {
+        // Query options (preview width, …); path parameters take precedence
+        const query = Object.fromEntries(url.searchParams);
+        delete query.token;
+        params = { ...query, ...params };
+      }
+      const result = await this._call(method, params);
+      if (result === null) {
+        return sendJson(res, 404, { error: "Window not found" });
+      }
+      if (result === false) {
+        return sendJson(res, 409, { error: `${method} was refused` });
+      }
+      if (result && result.success === false) {
+        return sendJson(res, 409, { error: result.error });
+      }
+      if (method === "createWindow") {
+        return sendJson(res, 201, { id: result });
+      }
+      sendJson(res, 200, result === true ? { ok: true } : result);
+    } catch (err) {
+      sendJson(res, err.statusCode || 500, { error: err.message });
+    }
+  }
+
+  /** @private */
+  _onUpgrade(req, socket, head) {
+    const url = new URL(req.url || "/", "http://localhost");
+    const isBridge = url.pathname === "/api/bridge" && this.bridge;
+    if (url.pathname !== "/api/ws" && !isBridge) {
+      socket.destroy();
+      return;
+    }
+    // WebSockets aren't covered by CORS, so the origin check matters most here
+    if (!this._hostAllowed(req) || !this._originAllowed(req)) {
+      socket.write("HTTP/1.1 403 Forbidden\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    if (!this._authorized(req, url)) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+    if (isBridge) {
+      this.bridgeWss.handleUpgrade(req, socket, head, (ws) =>
+        this.bridge.addPeer(ws, {
+          group: url.searchParams.get("group"),
+          channels: (url.searchParams.get("channels") || "").split(","),
+        }),
+      );
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) =>
+      this.wss.emit("connection", ws, req),
+    );
+  }
+
+  /** @private */
+  _onConnection(ws) {
+    // A malformed frame is emitted as 'error'; unhandled it would kill the app
+    ws.on("error", (err) => {
+      console.warn("[RemoteApi] WebSocket client error:", err.message);
+      ws.terminate();
+    });
+    ws.on("message", async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        ws.send(JSON.stringify({ error: "Invalid JSON" }));
+        return;
+      }
+      const { id = null, method, params = {} } = msg || {};
+      try {
+        const result = await this._call(method, params);
+        ws.send(JSON.stringify({ id, result }));
+      } catch (err) {
+        ws.send(JSON.stringify({ id, error: err.message }));
+      }
+    });
+  }
+
+  /** @private */
+  async _call(method, params) {
+    const fn = Object.hasOwn(this.methods, method) && this.methods[method];
+    if (typeof fn !== "function") {
+      const err = new Error(`Unknown method: ${method}`);
+      err.statusCode = 404;
+      throw err;
+    }
+    return fn(params || {});
+  }
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {unknown} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/** @param {string} host */
+function isLoopback(host) {
+  return LOOPBACK_HOSTS.has(host) || /^127\./.test(host);
+}
+
+/** @param {http.IncomingMessage} req */
+function isJson(req) {
+  const type = (req.headers["content-type"] || "").split(";")[0];
+  return type.trim().toLowerCase() === "application/json";
+}
+
+/** @param {http.IncomingMessage} req */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const err = new Error("Request body too large");
+        err.statusCode = 413;
+        reject(err);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size === 0) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf-8")));
+      } catch {
+        const err = new Error("Invalid JSON body");
+        err.statusCode = 400;
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+module.exports = RemoteApiServer;
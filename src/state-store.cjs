@@ -0,0 +1,172 @@
+"use strict";
+
+const fs = require("fs");
+const EventEmitter = require("events");
+
+/** Longest key accepted. */
+const MAX_KEY_LENGTH = 200;
+/** Largest JSON-encoded value accepted per key. */
+const MAX_VALUE_BYTES = 256 * 1024;
+/** Writes are coalesced so a page animating a value doesn't hammer the disk. */
+const SAVE_DELAY_MS = 500;
+
+/**
+ * Persistent key-value store shared by every captured window, the control
+ * panel and the remote API.
+ *
+ * Pages on different origins can't share localStorage, and BroadcastChannel
+ * messages sent before a window opened are lost. Values live here instead, so
+ * a graphic that reloads mid-show reads back the current score or lower-third
+ * text. Values are plain JSON; setting `undefined` or `null` removes a key.
+ *
+ * Emits "change" with `{ key, value, deleted }` for every key that changed.
+ */
+class StateStore extends EventEmitter {
+  /** @param {string} filePath  JSON file the store is persisted to */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    /** @type {Map<string, unknown>} */
+    this.values = new Map();
+    this._saveTimer = null;
+  }
+
+  /** Read the persisted store. A missing or corrupt file starts empty. */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        this.values = new Map(Object.entries(parsed));
+      }
+    } catch (e) {
+      console.error("[StateStore] Failed to load:", e.message);
+    }
+  }
+
+  /** @param {string} key */
+  get(key) {
+    return this.values.has(key) ? this.values.get(key) : null;
+  }
+
+  /** All keys and values as a plain object. */
+  getAll() {
+    return Object.fromEntries(this.values);
+  }
+
+  /**
+   * Set a key. Throws on an invalid key or a value that isn't JSON.
+   * @param {string} key
+   * @param {unknown} value  `undefined` / `null` removes the key
+   * @returns {boolean} whether the stored value changed
+   */
+  set(key, value) {
+    key = checkKey(key);
+    if (value === undefined || value === null) return this.delete(key);
+    const json = encodeValue(key, value);
+    const current = this.values.get(key);
+    if (current !== undefined && JSON.stringify(current) === json) return false;
+    const stored = JSON.parse(json); // own copy, stripped to plain JSON
+    this.values.set(key, stored);
+    this._changed({ key, value: stored, deleted: false });
+    return true;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean} whether the key existed
+   */
+  delete(key) {
+    key = checkKey(key);
+    if (!this.values.delete(key)) return false;
+    this._changed({ key, value: null, deleted: true });
+    return true;
+  }
+
+  /**
+   * Replace the whole store (the control panel editor). Only keys whose value
+   * actually changed emit "change".
+   * @param {Record<string, unknown>} values
+   */
+  replace(values) {
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      throw new TypeError("State must be a JSON object");
+    }
+    // Validate everything before touching the store
+    const next = new Map();
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null || value === undefined) continue;
+      next.set(checkKey(key), encodeValue(key, value));
+    }
+    for (const key of [...this.values.keys()]) {
+      if (!next.has(key)) this.delete(key);
+    }
+    for (const [key, json] of next) this.set(key, JSON.parse(json));
+  }
+
+  /** Write pending changes now (on quit). */
+  flush() {
+    if (!this._saveTimer) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    this._save();
+  }
+
+  /** @private */
+  _changed(change) {
+    this.emit("change", change);
+    if (!this._saveTimer) {
+      this._saveTimer = setTimeout(() => {
+        this._saveTimer = null;
+        this._save();
+      }, SAVE_DELAY_MS);
+    }
+  }
+
+  /** @private */
+  _save() {
+    try {
+      // Write-then-rename so a crash mid-write can't corrupt the store
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(this.getAll(), null, 2), "utf-8");
+      fs.renameSync(tmp, this.filePath);
+    } catch (e) {
+      console.error("[StateStore] Failed to save:", e.message);
+    }
+  }
+}
+
+/** @param {unknown} key */
+function checkKey(key) {
+  if (typeof key !== "string" || !key || key.length > MAX_KEY_LENGTH) {
+    throw new TypeError(
+      `State key must be a non-empty string of at most ${MAX_KEY_LENGTH} characters`,
+    );
+  }
+  return key;
+}
+
+/**
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {string} JSON encoding
+ */
+function encodeValue(key, value) {
+  let json;
+  try {
+    json = JSON.stringify(value);
+  } catch (e) {
+    throw new TypeError(`State "${key}" is not JSON: ${e.message}`);
+  }
+  if (json === undefined) {
+    throw new TypeError(`State "${key}" is not JSON`);
+  }
+  if (Buffer.byteLength(json) > MAX_VALUE_BYTES) {
+    throw new RangeError(
+      `State "${key}" exceeds ${MAX_VALUE_BYTES / 1024} KB`,
+    );
+  }
+  return json;
+}
+
+module.exports = StateStore;
@@ -0,0 +1,288 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+/** Entries kept in memory per window for the control panel. */
+const MAX_ENTRIES = 500;
+/** Longest message text kept; stack traces beyond this are cut. */
+const MAX_TEXT = 4000;
+/** New entries are pushed to listeners in batches, so a chatty page can't
+ *  flood IPC and WebSocket clients. */
+const FLUSH_MS = 250;
+/** Size at which the log file is rotated, and how many old files are kept. */
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_FILES = 5;
+/** Chromium net::ERR_ABORTED – a cancelled request, not a failure. */
+const ERR_ABORTED = "net::ERR_ABORTED";
+
+/**
+ * @typedef {object} LogEntry
+ * @property {number} time     Epoch ms
+ * @property {"debug"|"info"|"warning"|"error"} level
+ * @property {"console"|"network"|"certificate"|"load"|"crash"} source
+ * @property {string} text
+ * @property {string} [url]    Script or request URL (with `:line` for console)
+ */
+
+/**
+ * Append-only log file, rotated by size: `pages.log` becomes `pages.1.log`,
+ * `pages.1.log` becomes `pages.2.log` and so on, dropping the oldest. Lines
+ * written while the full file is still being flushed are held back and
+ * follow in the new one.
+ */
+class LogFile {
+  /** @param {string} filePath */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._stream = null;
+    this._size = 0;
+    this._rotating = false;
+    /** @type {string[]} */
+    this._backlog = [];
+  }
+
+  /** @param {string} line  Without the trailing newline */
+  write(line) {
+    if (this._rotating) {
+      this._backlog.push(line);
+      return;
+    }
+    try {
+      if (!this._stream) this._open();
+      const data = `${line}\n`;
+      this._stream.write(data);
+      this._size += Buffer.byteLength(data);
+      if (this._size >= MAX_FILE_BYTES) this._rotate();
+    } catch (e) {
+      console.error("[WindowLog] Failed to write log file:", e.message);
+    }
+  }
+
+  close() {
+    if (this._stream) this._stream.end();
+    this._stream = null;
+  }
+
+  /** @private */
+  _open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this._size = fs.existsSync(this.filePath)
+      ? fs.statSync(this.filePath).size
+      : 0;
+    this._stream = fs.createWriteStream(this.filePath, { flags: "a" });
+    this._stream.on("error", (e) =>
+      console.error("[WindowLog] Log file error:", e.message),
+    );
+  }
+
+  /** @private */
+  _rotate() {
+    const stream = this._stream;
+    this._stream = null;
+    this._rotating = true;
+    // Rename only once every queued line has reached the file ('finish', or
+    // an error)
+    stream.end(() => {
+      try {
+        this._shiftFiles();
+      } catch (e) {
+        console.error("[WindowLog] Failed to rotate log file:", e.message);
+      }
+      this._rotating = false;
+      const backlog = this._backlog;
+      this._backlog = [];
+      for (const line of backlog) this.write(line);
+    });
+  }
+
+  /** @private */
+  _shiftFiles() {
+    const { dir, name, ext } = path.parse(this.filePath);
+    const numbered = (n) => path.join(dir, `${name}.${n}${ext}`);
+    fs.rmSync(numbered(MAX_FILES), { force: true });
+    for (let n = MAX_FILES - 1; n >= 1; n--) {
+      if (fs.existsSync(numbered(n))) {
+        fs.renameSync(numbered(n), numbered(n + 1));
+      }
+    }
+    fs.renameSync(this.filePath, numbered(1));
+  }
+}
+
+/** Window logs by webContents id, for the per-session request hooks. */
+const logsByWebContents = new Map();
+/** Sessions with the request hooks installed. */
+const hooked = new WeakSet();
+
+/**
+ * Collects what a capture window's page reports but nobody sees in a hidden
+ * window: console messages, failed requests, certificate errors, load
+ * failures and renderer crashes. Entries are kept for the control panel and
+ * written to the shared log file.
+ *
+ * Emits "entries" `{entries, errorCount}` with the entries added since the
+ * last batch.
+ */
+class WindowLog extends EventEmitter {
+  /**
+   * @param {number} windowId
+   * @param {LogFile} [file]
+   */
+  constructor(windowId, file) {
+    super();
+    this.windowId = windowId;
+    this.file = file || null;
+    /** @type {LogEntry[]} */
+    this.entries = [];
+    /** Errors since the window opened or the log was last cleared. */
+    this.errorCount = 0;
+    /** @type {LogEntry[]} */
+    this._pending = [];
+    this._flushTimer = null;
+  }
+
+  /**
+   * Start collecting from a page (the window, or a playlist's preloading
+   * companion, which logs under the same window).
+   * @param {import('electron').WebContents} wc
+   */
+  attach(wc) {
+    const id = wc.id;
+    logsByWebContents.set(id, this);
+    wc.once("destroyed", () => {
+      if (logsByWebContents.get(id) === this) logsByWebContents.delete(id);
+    });
+    hookRequests(wc.session);
+
+    wc.on("console-message", (ev) => {
+      const url = ev.sourceId ? `${ev.sourceId}:${ev.lineNumber}` : undefined;
+      this.add(ev.level, "console", ev.message, url);
+    });
+    wc.on("did-fail-load", (_ev, code, description, url, isMainFrame) => {
+      if (code === -3) return; // ERR_ABORTED: replaced by another navigation
+      const frame = isMainFrame ? "Page" : "Frame";
+      this.add("error", "load", `${frame} failed to load: ${description}`, url);
+    });
+    wc.on("certificate-error", (_ev, url, error) => {
+      this.add("error", "certificate", `Certificate rejected: ${error}`, url);
+    });
+    wc.on("render-process-gone", (_ev, details) => {
+      if (details.reason === "clean-exit") return;
+      this.add(
+        "error",
+        "crash",
+        `Renderer ${details.reason} (exit code ${details.exitCode})`,
+      );
+    });
+    wc.on("unresponsive", () => {
+      this.add("warning", "crash", "Page stopped responding");
+    });
+  }
+
+  /**
+   * @param {string} level
+   * @param {LogEntry["source"]} source
+   * @param {string} text
+   * @param {string} [url]
+   */
+  add(level, source, text, url) {
+    /** @type {LogEntry} */
+    const entry = {
+      time: Date.now(),
+      level: normalizeLevel(level),
+      source,
+      text: String(text ?? "").slice(0, MAX_TEXT),
+    };
+    if (url) entry.url = url;
+
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) this.entries.shift();
+    if (entry.level === "error") this.errorCount++;
+
+    if (this.file) {
+      const where = url ? ` (${url})` : "";
+      this.file.write(
+        `${new Date(entry.time).toISOString()} [window ${this.windowId}] ` +
+          `${source}:${entry.level} ${entry.text}${where}`,
+      );
+    }
+
+    this._pending.push(entry);
+    if (!this._flushTimer) {
+      this._flushTimer = setTimeout(() => this._flush(), FLUSH_MS);
+    }
+  }
+
+  /** Forget the kept entries and reset the error count (the file stays). */
+  clear() {
+    this.entries = [];
+    this.errorCount = 0;
+    this._pending = [];
+  }
+
+  /** Stop batching (window closed). */
+  dispose() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    this._pending = [];
+  }
+
+  /** @private */
+  _flush() {
+    this._flushTimer = null;
+    if (this._pending.length === 0) return;
+    const entries = this._pending;
+    this._pending = [];
+    this.emit("entries", { entries, errorCount: this.errorCount });
+  }
+}
+
+/**
+ * Log failed requests and HTTP errors of every page in a session. A session
+ * allows one listener per webRequest event, so one hook serves all windows.
+ * @param {import('electron').Session} ses
+ */
+function hookRequests(ses) {
+  if (hooked.has(ses)) return;
+  hooked.add(ses);
+  ses.webRequest.onErrorOccurred((details) => {
+    const log = logsByWebContents.get(details.webContentsId);
+    if (!log || details.error === ERR_ABORTED) return;
+    log.add(
+      "error",
+      "network",
+      `${details.method} failed: ${details.error}`,
+      details.url,
+    );
+  });
+  ses.webRequest.onCompleted((details) => {
+    const log = logsByWebContents.get(details.webContentsId);
+    if (!log || details.statusCode < 400) return;
+    log.add(
+      details.statusCode >= 500 ? "error" : "warning",
+      "network",
+      `${details.method} → HTTP ${details.statusCode}`,
+      details.url,
+    );
+  });
+}
+
+/**
+ * Console levels arrive as names ("warning") or, from older Electron, as
+ * numbers 0–3.
+ * @param {unknown} level
+ * @returns {LogEntry["level"]}
+ */
+function normalizeLevel(level) {
+  if (typeof level === "number") {
+    return ["debug", "info", "warning", "error"][level] || "info";
+  }
+  if (level === "warn") return "warning";
+  return ["debug", "info", "warning", "error"].includes(level)
+    ? level
+    : "info";
+}
+
+module.exports = { WindowLog, LogFile };
@@ -0,0 +1,149 @@
+"use strict";
+
+const { session } = require("electron");
+const { serveGenerators } = require("./generators.cjs");
+
+/**
+ * @typedef {object} SessionConfig
+ * @property {string} [partition]    Session name; "" shares the default
+ *                                   session with every other such window
+ * @property {boolean} [persistent]  Keep cookies / storage on disk (default)
+ *                                   or in memory until the app quits
+ * @property {string} [userAgent]    "" = Electron's default
+ * @property {string} [proxy]        Chromium proxy rules, e.g.
+ *                                   "socks5://10.0.0.2:1080" or
+ *                                   "http=proxy:3128;https=proxy:3128"
+ * @property {string} [proxyBypass]  e.g. "localhost,*.internal"
+ * @property {Record<string, string>} [headers]  Added to every request
+ */
+
+/** Extra request headers by webContents id. */
+const extraHeaders = new Map();
+/** Sessions already set up for capture windows. */
+const prepared = new WeakSet();
+/** Sessions with the extra-headers request hook installed. */
+const hooked = new WeakSet();
+
+/**
+ * @param {SessionConfig} [config]
+ * @returns {Required<SessionConfig>}
+ */
+function normalizeSessionConfig(config = {}) {
+  const headers = {};
+  for (const [name, value] of Object.entries(config.headers || {})) {
+    // Header names are tokens; drop anything Chromium would reject
+    if (/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      headers[name] = String(value ?? "");
+    }
+  }
+  return {
+    partition: String(config.partition || "").trim(),
+    persistent: config.persistent !== false,
+    userAgent: String(config.userAgent || "").trim(),
+    proxy: String(config.proxy || "").trim(),
+    proxyBypass: String(config.proxyBypass || "").trim(),
+    headers,
+  };
+}
+
+/**
+ * The Electron session for a window's partition, set up for capture (tab
+ * audio, built-in generator pages) on first use.
+ * @param {SessionConfig} config  Normalised
+ * @returns {import('electron').Session}
+ */
+function getSession(config) {
+  let ses = session.defaultSession;
+  if (config.partition) {
+    const prefix = config.persistent ? "persist:" : "";
+    ses = session.fromPartition(`${prefix}${config.partition}`);
+  }
+  if (!prepared.has(ses)) {
+    prepared.add(ses);
+    // Auto-approve getDisplayMedia requests so the preload can capture tab audio
+    ses.setDisplayMediaRequestHandler((request, callback) => {
+      callback({ video: request.frame, audio: "loopback" });
+    });
+    serveGenerators(ses);
+  }
+  return ses;
+}
+
+/**
+ * Apply the proxy to a window's session. Proxies are per session, so the
+ * default session is left alone – give the window a partition.
+ * @param {import('electron').Session} ses
+ * @param {SessionConfig} config  Normalised
+ */
+async function applyProxy(ses, config) {
+  if (ses === session.defaultSession) {
+    if (config.proxy) {
+      console.warn(
+        "[Session] Proxy ignored: set a partition so it doesn't apply to every window",
+      );
+    }
+    return;
+  }
+  await ses.setProxy(
+    config.proxy
+      ? { proxyRules: config.proxy, proxyBypassRules: config.proxyBypass }
+      : { mode: "system" },
+  );
+}
+
+/**
+ * Apply the user agent and extra headers to one page. Both are per page, so
+ * windows sharing a session can still differ.
+ * @param {import('electron').WebContents} wc
+ * @param {SessionConfig} config  Normalised
+ */
+function applyToWebContents(wc, config) {
+  wc.setUserAgent(config.userAgent || wc.session.getUserAgent());
+
+  if (Object.keys(config.headers).length === 0) {
+    extraHeaders.delete(wc.id);
+    return;
+  }
+  if (!extraHeaders.has(wc.id)) {
+    const id = wc.id;
+    wc.once("destroyed", () => extraHeaders.delete(id));
+  }
+  extraHeaders.set(wc.id, config.headers);
+  hookHeaders(wc.session);
+}
+
+/**
+ * Delete cookies, storage, cache and HTTP auth for a session.
+ * @param {import('electron').Session} ses
+ */
+async function clearSessionData(ses) {
+  await ses.clearStorageData();
+  await ses.clearCache();
+  await ses.clearAuthCache();
+}
+
+/**
+ * One request hook per session (webRequest allows only one), adding each
+ * page's own headers.
+ * @param {import('electron').Session} ses
+ */
+function hookHeaders(ses) {
+  if (hooked.has(ses)) return;
+  hooked.add(ses);
+  ses.webRequest.onBeforeSendHeaders((details, callback) => {
+    const headers = extraHeaders.get(details.webContentsId);
+    callback({
+      requestHeaders: headers
+        ? { ...details.requestHeaders, ...headers }
+        : details.requestHeaders,
+    });
+  });
+}
+
+module.exports = {
+  normalizeSessionConfig,
+  getSession,
+  applyProxy,
+  applyToWebContents,
+  clearSessionData,
+};
@@ -0,0 +1,268 @@
+"use strict";
+
+const { EventEmitter } = require("events");
+const { net } = require("electron");
+
+const MAX_INCIDENTS = 200;
+const NETWORK_POLL_MS = 2000;
+/** How long a hung renderer may stay unresponsive before it is killed. */
+const UNRESPONSIVE_GRACE_MS = 10000;
+/** Chromium net::ERR_ABORTED – a navigation replaced by another, not a failure. */
+const ERR_ABORTED = -3;
+
+/**
+ * Watches a capture window for renderer crashes, hangs and load failures and
+ * recovers it by reloading its URL with exponential backoff.
+ *
+ * States: "loading", "ok", "crashed", "unresponsive", "failed", "offline".
+ *
+ * Emits:
+ *  - "status" `{state, message, retryAt, attempt, incident?}` on every change;
+ *    `retryAt` is an epoch-ms timestamp (or null) for countdown displays.
+ */
+class WindowWatchdog extends EventEmitter {
+  /**
+   * @param {number} windowId
+   * @param {import('electron').BrowserWindow} win
+   * @param {() => string} getUrl  The URL the window is supposed to show
+   * @param {{autoReload?: boolean, maxBackoffSec?: number}} [options]
+   */
+  constructor(windowId, win, getUrl, options = {}) {
+    super();
+    this.windowId = windowId;
+    this.win = win;
+    this.getUrl = getUrl;
+    this.autoReload = options.autoReload !== false;
+    this.baseDelayMs = 2000;
+    this.maxDelayMs = (options.maxBackoffSec || 60) * 1000;
+
+    this.state = "loading";
+    this.message = "";
+    this.attempt = 0;
+    this.retryAt = null;
+    /** @type {Array<{time: number, type: string, message: string}>} */
+    this.incidents = [];
+
+    this._retryTimer = null;
+    this._hangTimer = null;
+    this._networkTimer = null;
+    /** @type {Array<[string, Function]>} listeners on `win.webContents` */
+    this._listeners = [];
+
+    this._attach();
+  }
+
+  /**
+   * Watch another window from now on (a playlist cutting to a preloaded
+   * page). That page has already loaded, so the state becomes "ok".
+   * @param {import('electron').BrowserWindow} win
+   */
+  setWindow(win) {
+    this.dispose();
+    if (!this.win.isDestroyed()) {
+      for (const [event, fn] of this._listeners) {
+        this.win.webContents.off(event, fn);
+      }
+    }
+    this._listeners = [];
+    this.win = win;
+    this.attempt = 0;
+    this._attach();
+    this._setState("ok", "");
+  }
+
+  /**
+   * Update auto-reload settings live.
+   * @param {{autoReload?: boolean, maxBackoffSec?: number}} options
+   */
+  configure(options = {}) {
+    if (options.autoReload !== undefined) {
+      this.autoReload = !!options.autoReload;
+      if (!this.autoReload) this._cancelRetry();
+    }
+    if (options.maxBackoffSec) this.maxDelayMs = options.maxBackoffSec * 1000;
+  }
+
+  /**
+   * Log an incident that isn't a page failure (e.g. a playlist item that did
+   * not load) and report it without changing state.
+   * @param {string} type
+   * @param {string} message
+   */
+  report(type, message) {
+    const incident = this._record(type, message);
+    this._setState(this.state, this.message, incident);
+  }
+
+  /** Stop all timers (window closing). */
+  dispose() {
+    this._cancelRetry();
+    clearTimeout(this._hangTimer);
+    this._stopNetworkWatch();
+  }
+
+  /** @private */
+  _attach() {
+    const wc = this.win.webContents;
+    const on = (event, fn) => {
+      wc.on(event, fn);
+      this._listeners.push([event, fn]);
+    };
+
+    on("did-start-loading", () => {
+      if (this.state === "ok") this._setState("loading", "");
+    });
+
+    on("did-finish-load", () => {
+      this.attempt = 0;
+      this._cancelRetry();
+      this._stopNetworkWatch();
+      this._setState("ok", "");
+    });
+
+    on(
+      "did-fail-load",
+      (_ev, errorCode, errorDescription, validatedURL, isMainFrame) => {
+        if (!isMainFrame || errorCode === ERR_ABORTED) return;
+        this._fail(
+          "failed",
+          "load-failed",
+          `${errorDescription} (${errorCode}) – ${validatedURL}`,
+        );
+      },
+    );
+
+    on("render-process-gone", (_ev, details) => {
+      if (details.reason === "clean-exit") return;
+      clearTimeout(this._hangTimer);
+      this._fail(
+        "crashed",
+        "crashed",
+        `Renderer ${details.reason} (exit code ${details.exitCode})`,
+      );
+    });
+
+    on("unresponsive", () => {
+      const incident = this._record("unresponsive", "Page stopped responding");
+      this._setState("unresponsive", "Page stopped responding", incident);
+      clearTimeout(this._hangTimer);
+      this._hangTimer = setTimeout(() => {
+        if (this.state !== "unresponsive" || this.win.isDestroyed()) return;
+        if (!this.autoReload) return;
+        // Surfaces as render-process-gone, which schedules the reload
+        wc.forcefullyCrashRenderer();
+      }, UNRESPONSIVE_GRACE_MS);
+    });
+
+    on("responsive", () => {
+      clearTimeout(this._hangTimer);
+      if (this.state === "unresponsive") {
+        this._record("responsive", "Page is responding again");
+        this._setState("ok", "");
+      }
+    });
+  }
+
+  /**
+   * Record a failure and schedule recovery.
+   * @private
+   */
+  _fail(state, type, message) {
+    const incident = this._record(type, message);
+    if (!this.autoReload) {
+      this._setState(state, message, incident);
+      return;
+    }
+    if (!net.isOnline()) {
+      // No point burning retries – wait for the network to come back
+      this._cancelRetry();
+      this._setState("offline", `${message} – waiting for network`, incident);
+      this._startNetworkWatch();
+      return;
+    }
+    this._scheduleRetry(state, message, incident);
+  }
+
+  /** @private */
+  _scheduleRetry(state, message, incident) {
+    this._cancelRetry();
+    const delay = Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * 2 ** this.attempt,
+    );
+    this.attempt++;
+    this.retryAt = Date.now() + delay;
+    this._retryTimer = setTimeout(() => this._retry(), delay);
+    this._startNetworkWatch();
+    this._setState(state, message, incident);
+  }
+
+  /** @private */
+  _retry() {
+    this._retryTimer = null;
+    this.retryAt = null;
+    if (this.win.isDestroyed()) return;
+    const url = this.getUrl();
+    if (!url) return;
+    this._record("retry", `Reloading ${url} (attempt ${this.attempt})`);
+    this._setState("loading", `Retry ${this.attempt}`);
+    // Failures surface through did-fail-load / render-process-gone
+    this.win.webContents.loadURL(url).catch(() => {});
+  }
+
+  /** @private */
+  _cancelRetry() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this.retryAt = null;
+  }
+
+  /**
+   * Poll connectivity while the page is down and retry as soon as the
+   * network comes back instead of waiting out the backoff.
+   * @private
+   */
+  _startNetworkWatch() {
+    if (this._networkTimer) return;
+    let wasOnline = net.isOnline();
+    this._networkTimer = setInterval(() => {
+      const online = net.isOnline();
+      if (online && !wasOnline && this.autoReload) {
+        this._record("network", "Network is back – retrying now");
+        this._cancelRetry();
+        this._retry();
+      }
+      wasOnline = online;
+    }, NETWORK_POLL_MS);
+  }
+
+  /** @private */
+  _stopNetworkWatch() {
+    clearInterval(this._networkTimer);
+    this._networkTimer = null;
+  }
+
+  /** @private */
+  _record(type, message) {
+    const incident = { time: Date.now(), type, message };
+    this.incidents.push(incident);
+    if (this.incidents.length > MAX_INCIDENTS) this.incidents.shift();
+    console.log(`[Watchdog] Window ${this.windowId} ${type}: ${message}`);
+    return incident;
+  }
+
+  /** @private */
+  _setState(state, message, incident) {
+    this.state = state;
+    this.message = message;
+    this.emit("status", {
+      state,
+      message,
+      retryAt: this.retryAt,
+      attempt: this.attempt,
+      incident,
+    });
+  }
+}
+
+module.exports = WindowWatchdog;